@@ -13,7 +13,6 @@
 // @grant        GM.getValue
 // @grant        GM.setValue
 // @grant        GM.registerMenuCommand
-// @grant        GM.unregisterMenuCommand
 // @grant        GM.notification
 // @run-at       document-start
 // @downloadURL  https://raw.githubusercontent.com/hellodword/github-dashboard-feed/refs/heads/master/github-dashboard-feed.userscript.js
@@ -30,17 +29,65 @@
   const TOKEN_KEY = "github_token";
   const RENDER_BODY_KEY = "render_body_enabled";
   const ACTOR_FILTER_KEY = "actor_filter_enabled";
+  const ACTOR_FILTER_RULES_KEY = "actor_filter_rules";
+  const ACTOR_FILTER_PRESET_KEY = "actor_filter_preset_enabled";
+  const REPO_FILTER_RULES_KEY = "repo_filter_rules";
   const USE_SIDEBAR_KEY = "use_sidebar_enabled";
+  /** Legacy boolean setting, migrated into HIDDEN_EVENT_TYPES_KEY */
   const HIDE_WATCH_EVENT_KEY = "hide_watch_event_enabled";
+  const HIDDEN_EVENT_TYPES_KEY = "hidden_event_types";
+  const SAVED_VIEWS_KEY = "saved_views";
+  const ACTIVE_VIEW_KEY = "active_view";
+  const AUTO_REFRESH_KEY = "auto_refresh_enabled";
+  const ARCHIVE_MAX_EVENTS_KEY = "archive_max_events";
+  const ARCHIVE_MAX_AGE_DAYS_KEY = "archive_max_age_days";
+  const ARCHIVE_DB_NAME = "github-dashboard-feed";
+  const ARCHIVE_STORE_NAME = "events";
+  const AUTO_LOAD_UNSEEN_KEY = "auto_load_unseen_enabled";
+  const AGGREGATE_EVENTS_KEY = "aggregate_events_enabled";
+  const THREAD_EVENTS_KEY = "thread_events_enabled";
+  const INFINITE_SCROLL_KEY = "infinite_scroll_enabled";
+  const EVENT_SOURCES_KEY = "event_sources";
+  /** Suffixed with the username, see readDashboardOrg */
+  const DASHBOARD_ORG_KEY_PREFIX = "dashboard_org:";
+  /** Suffixed with the username, see readReleaseRadarEnabled */
+  const RELEASE_RADAR_KEY_PREFIX = "release_radar:";
+  /** Suffixed with the username, see collectReleaseRadar */
+  const RELEASE_RADAR_CACHE_KEY_PREFIX = "release_radar_cache:";
+  const HIDE_PRERELEASES_KEY = "hide_prereleases_enabled";
+  const PR_STATUS_CACHE_KEY = "pr_status_cache";
+  /** Suffixed with the username, see readLastSeen */
+  const LAST_SEEN_KEY_PREFIX = "last_seen:";
+  /** Marks exported settings files, see exportSettings */
+  const SETTINGS_EXPORT_FORMAT = "github-dashboard-feed-settings";
+  const SETTINGS_EXPORT_VERSION = 1;
+  const GIST_SYNC_ENABLED_KEY = "gist_sync_enabled";
+  const GIST_SYNC_ID_KEY = "gist_sync_id";
+  /** When a synced setting last changed on this machine, in ms since the epoch */
+  const SETTINGS_UPDATED_AT_KEY = "settings_updated_at";
+  const GIST_SYNC_FILE_NAME = "github-dashboard-feed-settings.json";
+  /** Settings changes are pushed to the gist once they settle for this long */
+  const GIST_PUSH_DELAY_MS = 3000;
+  /** Suffixed with the username, see readEventsCache */
+  const EVENTS_CACHE_KEY_PREFIX = "events_cache:";
   const NOTIFICATION_MAX_LENGTH = 200;
   const PER_PAGE = 25;
+  /** Used until the API advertises X-Poll-Interval */
+  const DEFAULT_POLL_INTERVAL_SECONDS = 60;
+  /** Upper bound for the poll delay after repeated failures */
+  const MAX_POLL_BACKOFF_FACTOR = 32;
+  /** Retries after a secondary rate limit, backing off from 1 minute unless Retry-After says otherwise */
+  const MAX_RATE_LIMIT_RETRIES = 3;
+  const SECONDARY_RATE_LIMIT_DELAY_MS = 60 * 1000;
+  /** Longer waits are not slept through but reported as a rate limit */
+  const MAX_RATE_LIMIT_WAIT_MS = 60 * 1000;
 
   /**
-   * Actor filter rules.
+   * Default actor filter preset, applied when the preset is enabled.
    * Each object may contain one or more of: id, login, display_login.
    * If an event's actor matches any property of any rule (===), the event will be filtered out if filtering is enabled.
    */
-  const ACTOR_FILTER_LIST = [
+  const DEFAULT_ACTOR_FILTER_PRESET = [
     { login: "GitHub Enterprise", display_login: "GitHub Enterprise" },
     { id: 49699333, login: "dependabot[bot]" },
     {
@@ -58,15 +105,149 @@
     { login: "web-flow", display_login: "web-flow" },
   ];
 
+  /**
+   * Event types rendered by renderEventCard, with human-readable labels.
+   */
+  const EVENT_TYPES = [
+    { type: "CommitCommentEvent", label: "Commit comments" },
+    { type: "CreateEvent", label: "Branch, tag and repository creation" },
+    { type: "DeleteEvent", label: "Branch and tag deletion" },
+    { type: "ForkEvent", label: "Forks" },
+    { type: "GollumEvent", label: "Wiki edits" },
+    { type: "IssueCommentEvent", label: "Issue comments" },
+    { type: "IssuesEvent", label: "Issues" },
+    { type: "MemberEvent", label: "Collaborators" },
+    { type: "PublicEvent", label: "Open sourcing" },
+    { type: "PullRequestEvent", label: "Pull requests" },
+    { type: "PullRequestReviewEvent", label: "Pull request reviews" },
+    {
+      type: "PullRequestReviewCommentEvent",
+      label: "Pull request review comments",
+    },
+    { type: "PushEvent", label: "Pushes" },
+    { type: "NotificationEvent", label: "Notifications" },
+    { type: "ReleaseEvent", label: "Releases" },
+    { type: "SponsorshipEvent", label: "Sponsorships" },
+    { type: "WatchEvent", label: "Stars" },
+  ];
+
+  /** The built-in view that shows everything; it cannot be deleted */
+  const DEFAULT_VIEW = { name: "All", query: "" };
+  /** Similar events at most this far apart are grouped into one card */
+  const AGGREGATE_WINDOW_MS = 60 * 60 * 1000;
+  /** Event types that are grouped, with the verb used in the group summary */
+  const AGGREGATE_VERBS = {
+    WatchEvent: "starred",
+    ForkEvent: "forked",
+    PushEvent: "pushed to",
+    CreateEvent: "created branches or tags in",
+    DeleteEvent: "deleted branches or tags in",
+    MemberEvent: "added collaborators to",
+    PublicEvent: "open sourced",
+  };
+  /** Comment and review event types that are grouped into conversation threads */
+  const THREAD_EVENT_TYPES = new Set([
+    "IssueCommentEvent",
+    "PullRequestReviewEvent",
+    "PullRequestReviewCommentEvent",
+  ]);
+  /** Number of comments a thread card shows before the rest are collapsed */
+  const THREAD_VISIBLE_COMMENTS = 3;
+  /** Starred and watched repositories whose releases the radar checks */
+  const RELEASE_RADAR_MAX_REPOS = 300;
+  const RELEASE_RADAR_RELEASES_PER_REPO = 3;
+  /** Release notes are cut to this many characters in the radar cache */
+  const RELEASE_RADAR_BODY_MAX_LENGTH = 2000;
+  /** Repositories whose releases are requested at the same time */
+  const RELEASE_RADAR_CONCURRENCY = 6;
+  /** Checking every repository is costly, so the radar polls slowly */
+  const RELEASE_RADAR_POLL_INTERVAL_SECONDS = 15 * 60;
+  /** Event types whose cards show the live pull request status */
+  const PR_STATUS_EVENT_TYPES = new Set([
+    "PullRequestEvent",
+    "PullRequestReviewEvent",
+    "PullRequestReviewCommentEvent",
+  ]);
+  /** Pull request statuses are fetched again once they are this old */
+  const PR_STATUS_TTL_MS = 5 * 60 * 1000;
+  /** Pull requests per GraphQL request */
+  const PR_STATUS_BATCH_SIZE = 25;
+  /** Delay before a failed batch of pull request statuses is requested again */
+  const PR_STATUS_RETRY_DELAY_MS = 60 * 1000;
+  /**
+   * Kinds of extra event sources, see parseEventSource. `path` gets the
+   * URL-encoded username and the match of `pattern` against the source spec.
+   * Kinds with `fetchPage` load their pages themselves instead.
+   */
+  const EVENT_SOURCE_KINDS = [
+    {
+      pattern: /^mine$/i,
+      label: () => "Yours",
+      path: (username) => `/users/${username}/events`,
+    },
+    {
+      pattern: /^org:([\w.-]+)$/i,
+      label: (match) => match[1],
+      path: (username, match) => `/users/${username}/events/orgs/${match[1]}`,
+    },
+    {
+      pattern: /^repo:([\w.-]+\/[\w.-]+)$/i,
+      label: (match) => match[1],
+      path: (username, match) => `/repos/${match[1]}/events`,
+    },
+    {
+      pattern: /^user:([\w-]+)$/i,
+      label: (match) => match[1],
+      path: (username, match) => `/users/${match[1]}/events`,
+    },
+    {
+      pattern: /^notifications(:participating)?$/i,
+      label: () => "Notifications",
+      fetchPage: fetchNotificationsPage,
+    },
+  ];
+  /** Notification reasons that ask something of the user, see renderNotificationCard */
+  const NOTIFICATION_ACTION_REASONS = new Set([
+    "assign",
+    "mention",
+    "review_requested",
+    "team_mention",
+  ]);
+
   // ================== STATE VARIABLES ==================
   let renderBodyEnabled = false;
-  let renderBodyMenuID = null;
   let actorFilterEnabled = true;
-  let actorFilterMenuID = null;
+  let actorFilterPresetEnabled = true;
+  /** User-managed actor patterns, see compilePattern for the syntax */
+  let actorFilterRules = [];
+  /** Repository patterns; "!" marks a block-list rule, anything else an allow-list rule */
+  let repoFilterRules = [];
   let useSidebarEnabled = false;
-  let useSidebarMenuID = null;
-  let hideWatchEventEnabled = false;
-  let hideWatchEventMenuID = null;
+  /** Where the feed can go, and the middle column's own content while the feed replaces it */
+  let feedPlacement = null;
+  /** Event types that are never shown, e.g. "WatchEvent" */
+  let hiddenEventTypes = new Set();
+  let aggregateEventsEnabled = true;
+  let threadEventsEnabled = true;
+  let infiniteScrollEnabled = false;
+  /** Extra event source specs, see parseEventSource */
+  let eventSourceSpecs = [];
+  /** Organization whose dashboard replaces the received events, if any */
+  let dashboardOrg = null;
+  /** Whether the release radar replaces the received events */
+  let releaseRadarEnabled = false;
+  /** Events of the latest release radar collection, paged by fetchReleaseRadarPage */
+  let releaseRadarEvents = [];
+  let hidePrereleasesEnabled = false;
+  /** Logins of the user's organizations, see fetchUserOrgs */
+  let userOrgsPromise = null;
+
+  /** Live pull request statuses, see requestPullRequestStatus */
+  let prStatusCache = null;
+  /** Cards waiting for the next batch request, by pull request */
+  const prStatusQueue = new Map();
+  let prStatusTimer = null;
+  let prStatusObserver = null;
 
   let md = null;
 
@@ -74,9 +255,78 @@
   let eventsList = [];
   let currentPage = 1;
   let hasMore = true;
+  /** Event sources that have further API pages */
+  let pagedSources = [];
   let loading = false;
   let containerRef = null;
   let moreBtnRef = null;
+  /** Infinite scroll: element at the bottom of the feed and its observer */
+  let scrollSentinel = null;
+  let scrollObserver = null;
+  /** Infinite scroll: resumes loading when a secondary rate limit ends */
+  let scrollResumeTimer = null;
+  /** Infinite scroll: next API page requested ahead of time, {page, promise} */
+  let prefetchedPage = null;
+  /** Request manager: responses of an older load generation are discarded */
+  let loadGeneration = 0;
+  /** Request manager: AbortControllers of the requests in flight */
+  const activeRequests = new Set();
+  /** Request manager: load-more requests run one after another on this chain */
+  let loadMoreQueue = Promise.resolve();
+  /** Arguments of the last initialLoad, used to reload or poll the feed */
+  let feedContext = null;
+  /** Error of the last initialLoad, rendered as an error card */
+  let loadError = null;
+  /** When the displayed first page was cached, or null once it is fresh */
+  let cacheSavedAt = null;
+
+  /** Newest event of the previous visit; newer events are highlighted as unseen */
+  let lastSeen = null;
+  /** lastSeen by feed key, read once per page visit, see readLastSeen */
+  const lastSeenByFeed = new Map();
+  let autoLoadUnseenEnabled = false;
+
+  /** Local event archive limits; 0 events turns the archive off */
+  let archiveMaxEvents = 5000;
+  let archiveMaxAgeDays = 365;
+  /** Lazily opened archive database, see openArchive */
+  let archiveDbPromise = null;
+  /** created_at of the oldest event received from the API */
+  let oldestApiEventAt = null;
+  /** Set once the API has no more pages: More continues into archived events up to this date */
+  let archiveBefore = null;
+  let archiveOffset = 0;
+
+  /** Latest rate limit headers; resetAt is in ms since the epoch */
+  let rateLimit = { remaining: null, limit: null, resetAt: null };
+  let rateLimitTicker = null;
+
+  /** Background refresh of the first page, see pollForNewEvents */
+  let autoRefreshEnabled = true;
+  /** Latest first page of each event source by id, with its ETag */
+  let firstPages = new Map();
+  let pollIntervalSeconds = DEFAULT_POLL_INTERVAL_SECONDS;
+  let pollFailures = 0;
+  let pollTimer = null;
+  let polling = false;
+  /** Newer events found by polling, merged when the user clicks the pill */
+  let pendingEvents = [];
+
+  /** Settings sync through a private gist, see syncSettingsWithGist */
+  let gistSyncEnabled = false;
+  let gistSyncStatus = "Not synced yet";
+  let gistPushTimer = null;
+  /** Set while synced settings are applied, so they are not pushed back */
+  let applyingSyncedSettings = false;
+
+  /** Search box query and its compiled predicates, see compileFeedQuery */
+  let feedQuery = "";
+  let feedQueryFilters = [];
+  let feedQueryTimer = null;
+
+  /** Saved views: named search box queries shown as tabs in the header */
+  let savedViews = [DEFAULT_VIEW];
+  let activeViewName = DEFAULT_VIEW.name;
 
   // ================== UTILITY FUNCTIONS ==================
 
@@ -107,6 +357,7 @@
       log: console.log.bind(console),
       warn: console.warn.bind(console),
       error: console.error.bind(console),
+      debug: console.debug.bind(console),
     };
 
     /**
@@ -168,524 +419,3663 @@
     console.log = wrapConsole(original.log, TAG);
     console.warn = wrapConsole(original.warn, TAG);
     console.error = wrapConsole(original.error, TAG);
+    // Tagged but not notified: expected failures of background work
+    console.debug = (...args) => original.debug(TAG, ...args);
   }
 
   /**
-   * Updates or re-registers the "Render Body" menu command.
+   * Persists a setting, logging (and thus notifying) failures.
+   * @param {string} key - Storage key
+   * @param {*} value
+   * @param {string} label - Setting name for the error message
    */
-  async function updateRenderBodyMenuCommand() {
-    if (renderBodyMenuID !== null) {
-      try {
-        GM.unregisterMenuCommand(renderBodyMenuID);
-      } catch (e) {
-        // Ignore unregister failures
-      }
+  async function saveSetting(key, value, label) {
+    try {
+      await GM.setValue(key, value);
+    } catch (e) {
+      console.error(`Failed to persist ${label} setting:`, e);
+    }
+    if (
+      PORTABLE_SETTINGS.some(
+        (setting) => setting.key === key && !setting.secret
+      )
+    ) {
+      await markSettingsChanged();
     }
-
-    renderBodyMenuID = GM.registerMenuCommand(
-      `Turn ${renderBodyEnabled ? "Off" : "On"} Render Body Feature`,
-      async () => {
-        renderBodyEnabled = !renderBodyEnabled;
-        initMarkdown();
-        try {
-          await GM.setValue(RENDER_BODY_KEY, renderBodyEnabled);
-        } catch (e) {
-          console.error("Failed to persist Render Body setting:", e);
-        }
-        console.log(
-          `Render Body Feature is now ${renderBodyEnabled ? "On" : "Off"}`
-        );
-        await updateRenderBodyMenuCommand();
-      },
-      "t"
-    );
   }
 
   /**
-   * Updates or re-registers the "Actor Filter" menu command.
+   * Checkbox settings of the settings dialog. `apply` brings the feed up to
+   * date after the value changed; `group` defaults to "feed".
    */
-  async function updateActorFilterMenuCommand() {
-    if (actorFilterMenuID !== null) {
-      try {
-        GM.unregisterMenuCommand(actorFilterMenuID);
-      } catch (e) {
-        // Ignore unregister failures
-      }
-    }
-
-    actorFilterMenuID = GM.registerMenuCommand(
-      `Turn ${actorFilterEnabled ? "Off" : "On"} Actor Filter`,
-      async () => {
-        actorFilterEnabled = !actorFilterEnabled;
-        try {
-          await GM.setValue(ACTOR_FILTER_KEY, actorFilterEnabled);
-        } catch (e) {
-          console.error("Failed to persist Actor Filter setting:", e);
+  const TOGGLE_SETTINGS = [
+    {
+      key: RENDER_BODY_KEY,
+      label: "Render bodies",
+      note: "Render comment, issue, pull request and release bodies as sanitized Markdown.",
+      get: () => renderBodyEnabled,
+      set: (value) => {
+        renderBodyEnabled = value;
+        initMarkdown();
+      },
+      apply: rerenderFeedCards,
+    },
+    {
+      key: AGGREGATE_EVENTS_KEY,
+      label: "Group similar events",
+      note: "Collapse bursts of stars, forks, pushes and the like into one card.",
+      get: () => aggregateEventsEnabled,
+      set: (value) => (aggregateEventsEnabled = value),
+      apply: rerenderFeedCards,
+    },
+    {
+      key: THREAD_EVENTS_KEY,
+      label: "Conversation threads",
+      note: "Show comments and reviews on one issue or pull request as a thread.",
+      get: () => threadEventsEnabled,
+      set: (value) => (threadEventsEnabled = value),
+      apply: rerenderFeedCards,
+    },
+    {
+      key: USE_SIDEBAR_KEY,
+      label: "Show in sidebar",
+      note: "Render the feed in the right sidebar instead of replacing the middle column.",
+      get: () => useSidebarEnabled,
+      set: (value) => (useSidebarEnabled = value),
+      apply: applyFeedPlacement,
+    },
+    {
+      key: INFINITE_SCROLL_KEY,
+      label: "Infinite scroll",
+      note: "Load the next page when you near the bottom instead of clicking More.",
+      get: () => infiniteScrollEnabled,
+      set: (value) => (infiniteScrollEnabled = value),
+      apply: () => {
+        if (!containerRef || !feedContext) return;
+        updateScrollSentinel(containerRef);
+        prefetchNextPage(feedContext.username, feedContext.token);
+      },
+    },
+    {
+      key: AUTO_REFRESH_KEY,
+      label: "Auto refresh",
+      note: "Check for new events in the background.",
+      get: () => autoRefreshEnabled,
+      set: (value) => (autoRefreshEnabled = value),
+      apply: () => {
+        if (feedContext && !loadError) {
+          schedulePoll(feedContext.username, feedContext.token);
         }
-        console.log(`Actor Filter is now ${actorFilterEnabled ? "On" : "Off"}`);
-        await updateActorFilterMenuCommand();
       },
-      "a"
-    );
-  }
+    },
+    {
+      key: AUTO_LOAD_UNSEEN_KEY,
+      label: "Load all new events",
+      note: "Keep loading pages until the feed reaches your last visit.",
+      get: () => autoLoadUnseenEnabled,
+      set: (value) => (autoLoadUnseenEnabled = value),
+      apply: () => {},
+    },
+    {
+      key: HIDE_PRERELEASES_KEY,
+      label: "Hide prereleases",
+      note: "Hide releases marked as prereleases, also in the release radar.",
+      get: () => hidePrereleasesEnabled,
+      set: (value) => (hidePrereleasesEnabled = value),
+      apply: scheduleFeedReload,
+      group: "filters",
+    },
+    {
+      key: ACTOR_FILTER_KEY,
+      label: "Actor filter",
+      note: "Hide events from the actors matched by the preset and rules below.",
+      get: () => actorFilterEnabled,
+      set: (value) => (actorFilterEnabled = value),
+      apply: scheduleFeedReload,
+      group: "filters",
+    },
+    {
+      key: ACTOR_FILTER_PRESET_KEY,
+      label: "Default actor filter preset",
+      note: "Hide events from common bots.",
+      get: () => actorFilterPresetEnabled,
+      set: (value) => (actorFilterPresetEnabled = value),
+      apply: scheduleFeedReload,
+      group: "filters",
+    },
+  ];
+
+  /** Pending reload after a filter setting changed, see scheduleFeedReload */
+  let feedReloadTimer = null;
 
   /**
-   * Updates or re-registers the "Use Sidebar" menu command.
+   * Reloads the feed shortly after a filter changed. Filters apply while
+   * events are loaded, so the feed has to be loaded again; quick successive
+   * changes only cause one reload. The release radar is filtered again
+   * instead, see refilterReleaseRadar.
    */
-  async function updateUseSidebarMenuCommand() {
-    if (useSidebarMenuID !== null) {
-      try {
-        GM.unregisterMenuCommand(useSidebarMenuID);
-      } catch (e) {
-        // Ignore unregister failures
-      }
-    }
-
-    useSidebarMenuID = GM.registerMenuCommand(
-      `Render in ${useSidebarEnabled ? "middle" : "sidebar"}`,
-      async () => {
-        useSidebarEnabled = !useSidebarEnabled;
-        try {
-          await GM.setValue(USE_SIDEBAR_KEY, useSidebarEnabled);
-        } catch (e) {
-          console.error("Failed to persist Use Sidebar setting:", e);
-        }
-        console.log(`Rendering in ${useSidebarEnabled ? "sidebar" : "middle"}`);
-        await updateUseSidebarMenuCommand();
-      },
-      "t"
+  function scheduleFeedReload() {
+    clearTimeout(feedReloadTimer);
+    feedReloadTimer = setTimeout(
+      releaseRadarEnabled ? refilterReleaseRadar : reloadFeed,
+      500
     );
   }
 
   /**
-   * Updates or re-registers the "Hide Watch Event" menu command.
+   * Applies the filters again to the releases of the last radar collection,
+   * which would take hundreds of requests to collect again.
    */
-  async function updateHideWatchEventMenuCommand() {
-    if (hideWatchEventMenuID !== null) {
-      try {
-        GM.unregisterMenuCommand(hideWatchEventMenuID);
-      } catch (e) {
-        // Ignore unregister failures
-      }
+  function refilterReleaseRadar() {
+    if (!feedContext) return;
+    if (loadError || releaseRadarEvents.length === 0) {
+      reloadFeed();
+      return;
     }
-
-    hideWatchEventMenuID = GM.registerMenuCommand(
-      `${hideWatchEventEnabled ? "Show" : "Hide"} Star Events`,
-      async () => {
-        hideWatchEventEnabled = !hideWatchEventEnabled;
-        try {
-          await GM.setValue(HIDE_WATCH_EVENT_KEY, hideWatchEventEnabled);
-        } catch (e) {
-          console.error("Failed to persist Hide Watch Event setting:", e);
-        }
-        console.log(
-          `Hide Watch Event is now ${hideWatchEventEnabled ? "On" : "Off"}`
-        );
-        await updateHideWatchEventMenuCommand();
-      },
-      "w"
+    eventsList = mergeEvents(
+      [],
+      applyEventFilters(releaseRadarEvents.slice(0, currentPage * PER_PAGE))
     );
+    rerenderFeedCards();
   }
 
   /**
-   * Retrieves the GitHub personal access token from storage.
-   * @returns {Promise<string|null>}
+   * Re-renders all cards of the loaded events, e.g. after a display setting changed.
    */
-  async function getToken() {
-    try {
-      const token = await GM.getValue(TOKEN_KEY, "");
-      return typeof token === "string" && token.trim().length > 0
-        ? token.trim()
-        : null;
-    } catch (e) {
-      console.error("Error fetching token:", e);
-      return null;
-    }
+  function rerenderFeedCards() {
+    if (!containerRef || !feedContext) return;
+    const row = containerRef.querySelector(".gh-dashboard-feed-row");
+    if (row) clearCardsRow(row);
+    const { username, token, parent } = feedContext;
+    renderFeed(true, username, token, parent);
   }
 
   /**
-   * Prompts user to configure and store the GitHub token.
+   * Moves the feed between the middle column and the sidebar according to
+   * useSidebarEnabled, re-rendering it for the new placement.
    */
-  async function configureToken() {
-    try {
-      const currentVal = (await getToken()) || "";
-      const val = window.prompt("GitHub Token", currentVal);
-      if (val !== null) {
-        await GM.setValue(TOKEN_KEY, val.trim());
-      }
-    } catch (e) {
-      console.error("Configure token error:", e);
-    }
+  async function applyFeedPlacement() {
+    if (!feedContext || !feedPlacement) return;
+    const parent = placeFeed();
+    if (parent === feedContext.parent) return;
+    feedContext.parent = parent;
+    // The More button is bound to the old parent; renderFeed recreates it
+    moreBtnRef?.remove();
+    moreBtnRef = null;
+    await renderFeed(false, feedContext.username, feedContext.token, parent);
+    updateNewEventsPill();
   }
 
   /**
-   * Attempts to extract the currently logged-in username from DOM.
-   * @returns {string|null}
+   * Creates a labelled settings group for the settings dialog.
+   * @param {string} title
+   * @returns {HTMLElement}
    */
-  function getUsername() {
-    try {
-      const metaUserLogin = document.querySelector('meta[name="user-login"]');
-      if (metaUserLogin?.content) return metaUserLogin.content;
-      const metaActorLogin = document.querySelector(
-        'meta[name="octolytics-actor-login"]'
-      );
-      if (metaActorLogin?.content) return metaActorLogin.content;
-      const dataLogin = document.querySelector("[data-login]");
-      if (dataLogin?.getAttribute("data-login"))
-        return dataLogin.getAttribute("data-login");
-    } catch (e) {
-      console.error("Error detecting username:", e);
-    }
-    return null;
+  function createSettingsGroup(title) {
+    const group = document.createElement("fieldset");
+    group.style.border = "0";
+    group.style.padding = "0";
+    group.style.margin = "0 0 16px 0";
+    const legend = document.createElement("legend");
+    legend.className = "h5";
+    legend.style.marginBottom = "8px";
+    legend.textContent = title;
+    group.appendChild(legend);
+    return group;
   }
 
   /**
-   * Waits for username to be available in DOM.
-   * @param {number} timeout - Timeout in ms
-   * @returns {Promise<string>}
+   * Creates a rule list textarea, one pattern per line, that applies the
+   * rules when they are all valid and points out the invalid ones otherwise.
+   * @param {object} options
+   * @param {string} options.label
+   * @param {string} options.note - Syntax hint
+   * @param {() => string[]} options.get
+   * @param {(rules: string[]) => void} options.set
+   * @param {(rule: string) => boolean} options.isValidRule
+   * @param {string} options.key - Storage key
+   * @returns {HTMLElement}
    */
-  function waitForUsername(timeout = 4000) {
-    return new Promise((resolve, reject) => {
-      const start = Date.now();
-      (function poll() {
-        const username = getUsername();
-        if (username) return resolve(username);
-        if (Date.now() - start > timeout)
-          return reject(new Error("Timed out waiting for username"));
-        setTimeout(poll, 350);
-      })();
-    });
+  function createRuleListField({ label, note, get, set, isValidRule, key }) {
+    const field = document.createElement("div");
+    field.className = "form-group";
+    field.style.margin = "8px 0";
+    const labelEl = document.createElement("label");
+    labelEl.textContent = label;
+    const textarea = document.createElement("textarea");
+    textarea.className = "form-control input-sm input-monospace";
+    textarea.rows = 3;
+    textarea.spellcheck = false;
+    textarea.style.width = "100%";
+    textarea.style.minHeight = "0";
+    textarea.value = get().join("\n");
+    labelEl.appendChild(textarea);
+    const noteEl = document.createElement("p");
+    noteEl.className = "note";
+    noteEl.textContent = note;
+    textarea.onchange = async () => {
+      const rules = normalizeRuleList(textarea.value.split("\n"));
+      const invalid = rules.filter((rule) => !isValidRule(rule));
+      if (invalid.length > 0) {
+        noteEl.className = "note color-fg-danger";
+        noteEl.textContent = `Invalid rules: ${invalid.join(", ")}`;
+        return;
+      }
+      noteEl.className = "note";
+      noteEl.textContent = note;
+      set(rules);
+      await saveSetting(key, rules, label);
+      scheduleFeedReload();
+    };
+    field.append(labelEl, noteEl);
+    return field;
   }
 
   /**
-   * Waits for the right sidebar to appear.
-   * @param {number} timeout - Timeout in ms
-   * @returns {Promise<Element>}
+   * Creates a whole-number input for the settings dialog.
+   * @param {object} options
+   * @param {string} options.label
+   * @param {number} options.min
+   * @param {() => number} options.get
+   * @param {(value: number) => Promise<void>} options.set - Applies and persists a valid value
+   * @returns {HTMLElement}
    */
-  function waitForSidebar(timeout = 6000) {
-    return new Promise((resolve, reject) => {
-      const start = Date.now();
-      (function poll() {
-        try {
-          const sidebar = document.querySelector(".feed-right-sidebar");
-          if (sidebar) return resolve(sidebar);
-          if (Date.now() - start > timeout)
-            return reject(
-              new Error("Timed out waiting for feed-right-sidebar")
-            );
-          setTimeout(poll, 300);
-        } catch (e) {
-          reject(e);
-        }
-      })();
-    });
+  function createNumberField({ label, min, get, set }) {
+    const field = document.createElement("div");
+    field.className = "form-group";
+    field.style.margin = "8px 0";
+    const labelEl = document.createElement("label");
+    labelEl.style.display = "flex";
+    labelEl.style.alignItems = "center";
+    labelEl.style.justifyContent = "space-between";
+    labelEl.style.fontWeight = "normal";
+    labelEl.textContent = label;
+    const input = document.createElement("input");
+    input.type = "number";
+    input.className = "form-control input-sm";
+    input.min = String(min);
+    input.step = "1";
+    input.style.width = "110px";
+    input.value = String(get());
+    input.onchange = async () => {
+      const value = Number(input.value);
+      if (!Number.isInteger(value) || value < min) {
+        input.value = String(get());
+        return;
+      }
+      await set(value);
+    };
+    labelEl.appendChild(input);
+    field.appendChild(labelEl);
+    return field;
   }
 
   /**
-   * Waits for the middle feed-container to appear.
-   * @param {number} timeout - Timeout in ms
-   * @returns {Promise<Element>}
+   * Opens the settings dialog, which edits all options and applies each
+   * change right away.
+   * @param {string} [focus] - "token" to focus the token field
    */
-  function waitForFeedContainer(timeout = 6000) {
-    return new Promise((resolve, reject) => {
-      const start = Date.now();
-      (function poll() {
-        try {
-          const feedContainer = document.querySelector("feed-container");
-          if (feedContainer) return resolve(feedContainer);
-          if (Date.now() - start > timeout)
-            return reject(new Error("Timed out waiting for feed-container"));
-          setTimeout(poll, 300);
-        } catch (e) {
-          reject(e);
+  async function openSettingsDialog(focus) {
+    document.querySelector(".gh-dashboard-feed-settings")?.remove();
+
+    const dialog = document.createElement("dialog");
+    dialog.className =
+      "gh-dashboard-feed-settings Box color-shadow-large color-bg-default color-fg-default";
+    dialog.setAttribute("aria-label", "Dashboard feed settings");
+    dialog.style.width = "min(480px, 90vw)";
+    dialog.style.padding = "0";
+    dialog.addEventListener("close", () => dialog.remove());
+
+    const header = document.createElement("div");
+    header.className = "Box-header d-flex flex-items-center";
+    const title = document.createElement("h2");
+    title.className = "Box-title flex-auto";
+    title.textContent = "Dashboard feed settings";
+    const closeBtn = document.createElement("button");
+    closeBtn.type = "button";
+    closeBtn.className = "btn-octicon";
+    closeBtn.setAttribute("aria-label", "Close");
+    closeBtn.innerHTML = `<svg aria-hidden="true" height="16" viewBox="0 0 16 16" width="16" fill="currentColor"><path d="M3.72 3.72a.75.75 0 0 1 1.06 0L8 6.94l3.22-3.22a.749.749 0 0 1 1.275.326.749.749 0 0 1-.215.734L9.06 8l3.22 3.22a.749.749 0 0 1-.326 1.275.749.749 0 0 1-.734-.215L8 9.06l-3.22 3.22a.751.751 0 0 1-1.042-.018.751.751 0 0 1-.018-1.042L6.94 8 3.72 4.78a.75.75 0 0 1 0-1.06Z"></path></svg>`;
+    closeBtn.onclick = () => dialog.close();
+    header.append(title, closeBtn);
+
+    const body = document.createElement("div");
+    body.className = "Box-body";
+    body.style.maxHeight = "70vh";
+    body.style.overflowY = "auto";
+
+    // Token
+    const tokenGroup = createSettingsGroup("GitHub token");
+    const tokenInput = document.createElement("input");
+    tokenInput.type = "password";
+    tokenInput.className = "form-control input-sm input-monospace";
+    tokenInput.autocomplete = "off";
+    // The saved token never goes into the page, only a newly typed one is saved
+    tokenInput.placeholder = (await getToken())
+      ? "Token configured"
+      : "github_pat_...";
+    tokenInput.setAttribute("aria-label", "GitHub token");
+    tokenInput.style.width = "100%";
+    tokenInput.onchange = async () => {
+      const token = tokenInput.value.trim();
+      tokenInput.value = "";
+      if (!token) return;
+      await saveSetting(TOKEN_KEY, token, "GitHub Token");
+      tokenInput.placeholder = "Token configured";
+      if (feedContext) {
+        await initialLoad(feedContext.username, token, feedContext.parent);
+      } else {
+        await startFeed(token);
+      }
+    };
+    const tokenNote = document.createElement("p");
+    tokenNote.className = "note";
+    tokenNote.innerHTML = `A fine-grained personal access token with no permissions, <a href="https://github.com/settings/personal-access-tokens/new" target="_blank" rel="noopener noreferrer">create one</a>.`;
+    tokenGroup.append(tokenInput, tokenNote);
+    body.appendChild(tokenGroup);
+
+    // Checkboxes
+    const feedGroup = createSettingsGroup("Feed");
+    const filterGroup = createSettingsGroup("Filters");
+    for (const setting of TOGGLE_SETTINGS) {
+      const item = document.createElement("div");
+      item.className = "form-checkbox";
+      item.style.margin = "8px 0";
+      const label = document.createElement("label");
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.checked = setting.get();
+      input.onchange = async () => {
+        setting.set(input.checked);
+        await saveSetting(setting.key, input.checked, setting.label);
+        await setting.apply();
+      };
+      label.append(input, ` ${setting.label}`);
+      const note = document.createElement("p");
+      note.className = "note";
+      note.textContent = setting.note;
+      item.append(label, note);
+      (setting.group === "filters" ? filterGroup : feedGroup).appendChild(item);
+    }
+    feedGroup.appendChild(
+      createRuleListField({
+        label: "Extra event sources",
+        note: "One per line, merged with your received events: mine, org:my-org, repo:owner/name, user:login, notifications, notifications:participating",
+        get: () => eventSourceSpecs,
+        set: (specs) => (eventSourceSpecs = specs),
+        isValidRule: (spec) => parseEventSource(spec, "") !== null,
+        key: EVENT_SOURCES_KEY,
+      })
+    );
+    body.appendChild(feedGroup);
+
+    filterGroup.appendChild(
+      createRuleListField({
+        label: "Actor filter rules",
+        note: "One per line, matched against login, display login and id. Glob: *[bot]  Regex: /^ci-.+$/i",
+        get: () => actorFilterRules,
+        set: (rules) => (actorFilterRules = rules),
+        isValidRule: (rule) => compilePattern(rule) !== null,
+        key: ACTOR_FILTER_RULES_KEY,
+      })
+    );
+    filterGroup.appendChild(
+      createRuleListField({
+        label: "Repository filter rules",
+        note: "One per line, matched against owner/name. Show only: my-org/*  Hide: !my-org/sandbox-*",
+        get: () => repoFilterRules,
+        set: (rules) => (repoFilterRules = rules),
+        isValidRule: (rule) => compilePattern(rule.replace(/^!/, "")) !== null,
+        key: REPO_FILTER_RULES_KEY,
+      })
+    );
+
+    const typesLabel = document.createElement("div");
+    typesLabel.style.fontWeight = "600";
+    typesLabel.style.margin = "8px 0 4px 0";
+    typesLabel.textContent = "Hidden event types";
+    const typesGrid = document.createElement("div");
+    typesGrid.style.display = "grid";
+    typesGrid.style.gridTemplateColumns = "repeat(2, minmax(0, 1fr))";
+    typesGrid.style.gap = "2px 12px";
+    for (const { type, label } of EVENT_TYPES) {
+      const typeLabel = document.createElement("label");
+      typeLabel.style.fontWeight = "normal";
+      typeLabel.title = label;
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.checked = hiddenEventTypes.has(type);
+      input.style.marginRight = "4px";
+      input.onchange = async () => {
+        if (input.checked) {
+          hiddenEventTypes.add(type);
+        } else {
+          hiddenEventTypes.delete(type);
         }
-      })();
-    });
+        await saveSetting(
+          HIDDEN_EVENT_TYPES_KEY,
+          [...hiddenEventTypes],
+          "Hidden Event Types"
+        );
+        scheduleFeedReload();
+      };
+      typeLabel.append(input, type.replace(/Event$/, ""));
+      typesGrid.appendChild(typeLabel);
+    }
+    filterGroup.append(typesLabel, typesGrid);
+    body.appendChild(filterGroup);
+
+    // Archive
+    const archiveGroup = createSettingsGroup("Event archive");
+    archiveGroup.appendChild(
+      createNumberField({
+        label: "Maximum archived events (0 turns the archive off)",
+        min: 0,
+        get: () => archiveMaxEvents,
+        set: async (value) => {
+          archiveMaxEvents = value;
+          await saveSetting(ARCHIVE_MAX_EVENTS_KEY, value, "Event Archive");
+          if (feedContext && isArchiveEnabled()) {
+            pruneArchive(getFeedKey(feedContext.username)).catch((e) =>
+              console.error("Failed to prune the event archive:", e)
+            );
+          }
+        },
+      })
+    );
+    archiveGroup.appendChild(
+      createNumberField({
+        label: "Maximum age of archived events, in days",
+        min: 1,
+        get: () => archiveMaxAgeDays,
+        set: async (value) => {
+          archiveMaxAgeDays = value;
+          await saveSetting(ARCHIVE_MAX_AGE_DAYS_KEY, value, "Event Archive");
+          if (feedContext && isArchiveEnabled()) {
+            pruneArchive(getFeedKey(feedContext.username)).catch((e) =>
+              console.error("Failed to prune the event archive:", e)
+            );
+          }
+        },
+      })
+    );
+    body.appendChild(archiveGroup);
+    body.appendChild(createBackupGroup(dialog));
+    body.appendChild(createGistSyncGroup());
+
+    dialog.append(header, body);
+    document.body.appendChild(dialog);
+    dialog.showModal();
+    if (focus === "token") tokenInput.focus();
   }
 
   /**
-   * Fetches received events from the GitHub API.
-   * @param {string} username - GitHub username
-   * @param {string} token    - GitHub Personal Access Token
-   * @param {number} perPage  - Items per page
-   * @param {number} page     - Page number
-   * @returns {Promise<{events: Array, hasNext: boolean}>}
+   * Validates a true/false setting.
+   * @param {*} value
+   * @returns {boolean}
    */
-  async function fetchReceivedEvents(username, token, perPage = 30, page = 1) {
-    const url = `https://api.github.com/users/${encodeURIComponent(
-      username
-    )}/received_events?per_page=${perPage}&page=${page}`;
-    try {
-      const res = await fetch(url, {
-        headers: {
-          Authorization: `token ${token}`,
-          Accept: "application/vnd.github+json",
-        },
-      });
-      if (res.status === 401) {
-        throw new Error("Token is invalid or expired");
-      }
-      if (!res.ok) {
-        throw new Error(`GitHub API error: ${res.status} ${res.statusText}`);
-      }
-      const link = res.headers.get("Link");
-      let hasNext = false;
-      if (link) {
-        hasNext = /rel="next"/.test(link);
-      }
-      const events = await res.json();
-      if (!Array.isArray(events)) {
-        throw new Error("Unexpected GitHub API response: not an array");
-      }
-      return { events, hasNext };
-    } catch (error) {
-      console.error("Fetch error:", error);
-      throw error;
-    }
+  function validateBoolean(value) {
+    if (typeof value !== "boolean") throw new Error("must be true or false");
+    return value;
   }
 
   /**
-   * Removes the old section node by ID.
-   * @param {string} sectionId
+   * Creates a validator for a whole number of at least `min`.
+   * @param {number} min
+   * @returns {(value: *) => number}
    */
-  function removeOldSection(sectionId = FEED_SECTION_ID) {
-    try {
-      const old = document.getElementById(sectionId);
-      if (old && old.parentElement) old.parentElement.removeChild(old);
-    } catch (e) {
-      // Ignore removal failures
-    }
+  function validateInteger(min) {
+    return (value) => {
+      if (!Number.isInteger(value) || value < min) {
+        throw new Error(`must be a whole number of at least ${min}`);
+      }
+      return value;
+    };
   }
 
   /**
-   * Inserts the events section into the parent, replacing any older section.
-   * @param {Element} cardsWrapper
-   * @param {Element} parent
-   * @param {string} sectionId
+   * Creates a validator for a list of filter patterns.
+   * @param {(rule: string) => boolean} isValidRule
+   * @returns {(value: *) => string[]}
    */
-  function insertEventsSectionSibling(
-    cardsWrapper,
-    parent,
-    sectionId = FEED_SECTION_ID
-  ) {
-    removeOldSection(sectionId);
-    cardsWrapper.id = sectionId;
-    try {
-      if (parent.firstChild) {
-        parent.insertBefore(cardsWrapper, parent.firstChild);
-      } else {
-        parent.appendChild(cardsWrapper);
+  function validateRuleList(isValidRule) {
+    return (value) => {
+      if (!Array.isArray(value) || value.some((r) => typeof r !== "string")) {
+        throw new Error("must be a list of patterns");
       }
-    } catch (e) {
-      console.error("Failed to insert events section:", e);
-    }
+      const rules = normalizeRuleList(value);
+      const invalid = rules.filter((rule) => !isValidRule(rule));
+      if (invalid.length > 0) {
+        throw new Error(`has invalid patterns: ${invalid.join(", ")}`);
+      }
+      return rules;
+    };
   }
 
   /**
-   * Formats a date string as a "time ago" label.
-   * @param {string} dateString
-   * @returns {string}
+   * Settings that are exported and imported, by storage key, with their
+   * default value and a validator returning the normalized value (or
+   * throwing). The token is only exported on request.
    */
-  function timeAgo(dateString) {
-    if (!dateString) return "";
-    const now = new Date();
-    const date = new Date(dateString);
-    if (isNaN(date.getTime())) return "";
-    const seconds = Math.floor((now - date) / 1000);
+  const PORTABLE_SETTINGS = [
+    { key: RENDER_BODY_KEY, defaultValue: false, validate: validateBoolean },
+    { key: ACTOR_FILTER_KEY, defaultValue: true, validate: validateBoolean },
+    {
+      key: ACTOR_FILTER_PRESET_KEY,
+      defaultValue: true,
+      validate: validateBoolean,
+    },
+    {
+      key: ACTOR_FILTER_RULES_KEY,
+      defaultValue: [],
+      validate: validateRuleList((rule) => compilePattern(rule) !== null),
+    },
+    {
+      key: REPO_FILTER_RULES_KEY,
+      defaultValue: [],
+      validate: validateRuleList(
+        (rule) => compilePattern(rule.replace(/^!/, "")) !== null
+      ),
+    },
+    {
+      key: HIDDEN_EVENT_TYPES_KEY,
+      defaultValue: [],
+      validate: (value) => {
+        if (!Array.isArray(value)) throw new Error("must be a list of types");
+        const unknown = value.filter((name) => !resolveEventType(name));
+        if (unknown.length > 0) {
+          throw new Error(`has unknown types: ${unknown.join(", ")}`);
+        }
+        return [...new Set(value.map(resolveEventType))];
+      },
+    },
+    { key: USE_SIDEBAR_KEY, defaultValue: false, validate: validateBoolean },
+    {
+      key: AGGREGATE_EVENTS_KEY,
+      defaultValue: true,
+      validate: validateBoolean,
+    },
+    { key: THREAD_EVENTS_KEY, defaultValue: true, validate: validateBoolean },
+    {
+      key: HIDE_PRERELEASES_KEY,
+      defaultValue: false,
+      validate: validateBoolean,
+    },
+    {
+      key: EVENT_SOURCES_KEY,
+      defaultValue: [],
+      validate: validateRuleList((spec) => parseEventSource(spec, "") !== null),
+    },
+    {
+      key: INFINITE_SCROLL_KEY,
+      defaultValue: false,
+      validate: validateBoolean,
+    },
+    { key: AUTO_REFRESH_KEY, defaultValue: true, validate: validateBoolean },
+    {
+      key: AUTO_LOAD_UNSEEN_KEY,
+      defaultValue: false,
+      validate: validateBoolean,
+    },
+    {
+      key: ARCHIVE_MAX_EVENTS_KEY,
+      defaultValue: 5000,
+      validate: validateInteger(0),
+    },
+    {
+      key: ARCHIVE_MAX_AGE_DAYS_KEY,
+      defaultValue: 365,
+      validate: validateInteger(1),
+    },
+    {
+      key: SAVED_VIEWS_KEY,
+      defaultValue: [],
+      validate: (value) => {
+        if (!Array.isArray(value)) throw new Error("must be a list of views");
+        return normalizeSavedViews(value).filter(
+          (view) => view !== DEFAULT_VIEW
+        );
+      },
+    },
+    {
+      key: ACTIVE_VIEW_KEY,
+      defaultValue: DEFAULT_VIEW.name,
+      validate: (value) => {
+        if (typeof value !== "string") throw new Error("must be a view name");
+        return value;
+      },
+    },
+    {
+      key: TOKEN_KEY,
+      defaultValue: "",
+      validate: (value) => {
+        if (typeof value !== "string") throw new Error("must be a string");
+        return value.trim();
+      },
+      secret: true,
+    },
+  ];
 
-    if (seconds < 10) return "now";
-    if (seconds < 60) return `${seconds} seconds ago`;
-    const minutes = Math.floor(seconds / 60);
-    if (minutes < 2) return "a minute ago";
-    if (minutes < 60) return `${minutes} minutes ago`;
-    const hours = Math.floor(minutes / 60);
-    if (hours < 2) return "an hour ago";
-    if (hours < 24) return `${hours} hours ago`;
-    const days = Math.floor(hours / 24);
-    if (days < 2) return "a day ago";
-    if (days < 7) return `${days} days ago`;
-    const weeks = Math.floor(days / 7);
-    if (weeks < 2) return "a week ago";
-    return `${weeks} weeks ago`;
+  /**
+   * Collects the persisted settings into an exportable object.
+   * @param {boolean} includeToken - Whether to include the GitHub token
+   * @returns {Promise<object>}
+   */
+  async function exportSettings(includeToken) {
+    const settings = {};
+    for (const { key, defaultValue, secret } of PORTABLE_SETTINGS) {
+      if (secret && !includeToken) continue;
+      settings[key] = await GM.getValue(key, defaultValue);
+    }
+    return {
+      format: SETTINGS_EXPORT_FORMAT,
+      version: SETTINGS_EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings,
+    };
   }
 
   /**
-   * Renders a reactions bar if reactions exist on the target object.
-   * @param {object} reactions - Reactions object from GitHub API
-   * @returns {HTMLElement|null}
+   * Validates exported settings and lists the values that would change.
+   * Unknown keys are ignored; any invalid value rejects the whole import.
+   * @param {string} text - JSON file content
+   * @returns {Promise<Array<{key: string, from: *, to: *, secret: boolean}>>}
    */
-  function renderReactionsBar(reactions) {
-    if (!reactions || typeof reactions !== "object") return null;
-    const reactionMeta = [
-      { key: "+1", emoji: "👍", label: "Thumbs up" },
-      { key: "-1", emoji: "👎", label: "Thumbs down" },
-      { key: "laugh", emoji: "😄", label: "Laugh" },
-      { key: "hooray", emoji: "🎉", label: "Hooray" },
-      { key: "confused", emoji: "😕", label: "Confused" },
-      { key: "heart", emoji: "❤️", label: "Heart" },
-      { key: "rocket", emoji: "🚀", label: "Rocket" },
-      { key: "eyes", emoji: "👀", label: "Eyes" },
-    ];
-    let hasAny = false;
-    for (const meta of reactionMeta) {
-      if (typeof reactions[meta.key] === "number" && reactions[meta.key] > 0) {
-        hasAny = true;
-        break;
-      }
+  async function previewSettingsImport(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Not a JSON file: ${e.message}`);
+    }
+    if (
+      data?.format !== SETTINGS_EXPORT_FORMAT ||
+      !data.settings ||
+      typeof data.settings !== "object"
+    ) {
+      throw new Error("Not a GitHub Dashboard Feed settings file");
+    }
+    if (data.version > SETTINGS_EXPORT_VERSION) {
+      throw new Error(
+        `Settings file version ${data.version} is newer than this script supports`
+      );
     }
-    if (!hasAny) return null;
 
-    // Styling similar to GitHub's reactions bar
-    const bar = document.createElement("div");
-    bar.className = "gh-dashboard-reactions-bar";
-    bar.style.display = "flex";
-    bar.style.flexWrap = "wrap";
-    bar.style.gap = "4px";
-    bar.style.margin = "4px 0 0 35px";
-    bar.style.alignItems = "center";
-    for (const meta of reactionMeta) {
-      const count = reactions[meta.key];
-      if (typeof count === "number" && count > 0) {
-        const btn = document.createElement("button");
-        btn.type = "button";
-        btn.disabled = true;
-        btn.className = "btn btn-sm btn-reaction";
-        btn.setAttribute("aria-label", `${count} ${meta.label}`);
-        btn.style.display = "inline-flex";
-        btn.style.alignItems = "center";
-        btn.style.background = "#f6f8fa";
-        btn.style.border = "1px solid #d0d7de";
-        btn.style.borderRadius = "16px";
-        btn.style.fontSize = "13px";
-        btn.style.padding = "2px 7px";
-        btn.style.color = "#57606a";
-        btn.style.cursor = "not-allowed";
-        btn.innerHTML = `<span style="font-size:15px;line-height:1">${meta.emoji}</span> <span style="margin-left:2px">${count}</span>`;
-        bar.appendChild(btn);
+    const changes = [];
+    const errors = [];
+    for (const { key, defaultValue, validate, secret } of PORTABLE_SETTINGS) {
+      if (!(key in data.settings)) continue;
+      let value;
+      try {
+        value = validate(data.settings[key]);
+      } catch (e) {
+        errors.push(`${key} ${e.message}`);
+        continue;
+      }
+      const current = await GM.getValue(key, defaultValue);
+      if (JSON.stringify(current) !== JSON.stringify(value)) {
+        changes.push({ key, from: current, to: value, secret: !!secret });
       }
     }
-    return bar;
+    if (errors.length > 0) {
+      throw new Error(`Invalid settings: ${errors.join("; ")}`);
+    }
+    return changes;
   }
 
   /**
-   * Determines whether the given actor matches any filter rule.
-   * @param {object} actor - The event's actor object
-   * @returns {boolean}
+   * Persists imported settings, reloads them and brings the feed up to date.
+   * @param {Array<{key: string, to: *}>} changes - From previewSettingsImport
    */
-  function isActorFiltered(actor) {
-    if (!actor) return false;
-    for (const rule of ACTOR_FILTER_LIST) {
-      for (const key of Object.keys(rule)) {
-        if (actor[key] === rule[key]) {
-          return true;
-        }
-      }
+  async function applySettingsImport(changes) {
+    for (const { key, to } of changes) {
+      await saveSetting(key, to, key);
     }
-    return false;
+    await loadSettings();
+    const token = await getToken();
+    if (feedContext) {
+      await applyFeedPlacement();
+      await initialLoad(
+        feedContext.username,
+        token || feedContext.token,
+        feedContext.parent
+      );
+    } else if (token) {
+      await startFeed(token);
+    }
+    console.log(`Imported ${changes.length} settings`);
   }
 
   /**
-   * Renders an event card element.
-   * @param {object} event - GitHub event object
-   * @returns {Promise<HTMLElement>}
+   * Formats a setting value for the import preview.
+   * @param {*} value
+   * @param {boolean} secret - Masks all but the last 4 characters
+   * @returns {string}
    */
-  async function renderEventCard(event) {
-    const { type, repo, actor, created_at, payload } = event || {};
-    const card = document.createElement("div");
+  function formatSettingValue(value, secret) {
+    if (secret) return value ? `••••${String(value).slice(-4)}` : "(empty)";
+    const text = JSON.stringify(value);
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+  }
 
-    card.className =
-      "dashboard-events color-bg-default border color-border-default p-3 rounded-2";
-    if (!useSidebarEnabled) {
-      card.className += " feed-item-content width-full height-fit";
-    } else {
-      card.style.flex = "1 1 320px";
-      card.style.minWidth = "260px";
-      card.style.maxWidth = "420px";
-    }
+  /**
+   * Creates the export and import controls of the settings dialog.
+   * @param {HTMLDialogElement} dialog - Reopened after an import
+   * @returns {HTMLElement}
+   */
+  function createBackupGroup(dialog) {
+    const group = createSettingsGroup("Import and export");
+    const includeTokenLabel = document.createElement("label");
+    includeTokenLabel.style.fontWeight = "normal";
+    includeTokenLabel.style.display = "block";
+    const includeToken = document.createElement("input");
+    includeToken.type = "checkbox";
+    includeToken.style.marginRight = "4px";
+    includeTokenLabel.append(includeToken, "Include the GitHub token");
 
-    card.style.margin = "0 8px 8px 0";
-    card.style.boxSizing = "border-box";
-    card.style.display = "flex";
-    card.style.flexDirection = "column";
-    card.style.justifyContent = "space-between";
-    card.style.height = "auto";
-    card.style.overflow = "hidden";
+    const actions = document.createElement("div");
+    actions.style.display = "flex";
+    actions.style.gap = "8px";
+    actions.style.margin = "8px 0";
+    const exportBtn = document.createElement("button");
+    exportBtn.type = "button";
+    exportBtn.className = "btn btn-sm";
+    exportBtn.textContent = "Export";
+    exportBtn.onclick = async () => {
+      const data = await exportSettings(includeToken.checked);
+      const url = URL.createObjectURL(
+        new Blob([JSON.stringify(data, null, 2)], { type: "application/json" })
+      );
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = "github-dashboard-feed-settings.json";
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    };
+    const fileInput = document.createElement("input");
+    fileInput.type = "file";
+    fileInput.accept = ".json,application/json";
+    fileInput.hidden = true;
+    const importBtn = document.createElement("button");
+    importBtn.type = "button";
+    importBtn.className = "btn btn-sm";
+    importBtn.textContent = "Import...";
+    importBtn.onclick = () => fileInput.click();
+    actions.append(exportBtn, importBtn, fileInput);
 
-    // Actor and repo rendering
-    const actorLink =
-      actor && actor.login
-        ? `<a style="font-weight:bold" href="https://github.com/${encodeURIComponent(
-            actor.login
-          )}" target="_blank" rel="noopener noreferrer">${actor.login}</a>`
-        : "";
-    const actorAvatar =
-      actor && actor.avatar_url
-        ? `<img src="${actor.avatar_url}" alt="avatar" style="width:28px;height:28px;border-radius:50%;margin-right:7px;vertical-align:middle;">`
-        : "";
-    const repoLink =
-      repo && repo.name
-        ? `<a style="font-weight:bold" href="https://github.com/${repo.name}" target="_blank" rel="noopener noreferrer">${repo.name}</a>`
-        : "";
+    const preview = document.createElement("div");
+    preview.className = "gh-dashboard-feed-import-preview";
+    fileInput.onchange = async () => {
+      const file = fileInput.files?.[0];
+      fileInput.value = "";
+      if (!file) return;
+      preview.replaceChildren();
+      let changes;
+      try {
+        changes = await previewSettingsImport(await file.text());
+      } catch (e) {
+        const error = document.createElement("p");
+        error.className = "note color-fg-danger";
+        error.textContent = e.message;
+        preview.appendChild(error);
+        return;
+      }
+      if (changes.length === 0) {
+        const note = document.createElement("p");
+        note.className = "note";
+        note.textContent = "The file matches the current settings.";
+        preview.appendChild(note);
+        return;
+      }
 
-    /**
-     * Renders body or short_description_html, always sanitized.
-     * @param {string} body - Markdown content
-     * @param {string|null} html - HTML content
-     * @returns {string}
-     */
-    function renderBodyOrShortHtml(body, html) {
-      if (!renderBodyEnabled) return "";
-      let htmlContent = `<div style="max-width:340px;margin-left:35px;overflow-wrap:break-word;">${
-        html
-          ? `<div class="event-body-html">${DOMPurify.sanitize(html)}</div>`
-          : body && md
-          ? `<div class="event-body-md">${DOMPurify.sanitize(
-              md.render(body)
-            )}</div>`
-          : ""
-      }</div>`;
-      return htmlContent;
-    }
+      const list = document.createElement("ul");
+      list.className = "text-small";
+      list.style.margin = "0 0 8px 16px";
+      for (const { key, from, to, secret } of changes) {
+        const item = document.createElement("li");
+        const name = document.createElement("code");
+        name.textContent = key;
+        item.append(
+          name,
+          `: ${formatSettingValue(from, secret)} → ${formatSettingValue(
+            to,
+            secret
+          )}`
+        );
+        list.appendChild(item);
+      }
+      const applyBtn = document.createElement("button");
+      applyBtn.type = "button";
+      applyBtn.className = "btn btn-sm btn-primary";
+      applyBtn.textContent = `Apply ${changes.length} changes`;
+      applyBtn.onclick = async () => {
+        dialog.close();
+        await applySettingsImport(changes);
+        await openSettingsDialog();
+      };
+      const cancelBtn = document.createElement("button");
+      cancelBtn.type = "button";
+      cancelBtn.className = "btn btn-sm";
+      cancelBtn.style.marginLeft = "8px";
+      cancelBtn.textContent = "Cancel";
+      cancelBtn.onclick = () => preview.replaceChildren();
+      preview.append(list, applyBtn, cancelBtn);
+    };
 
-    /**
-     * Main content rendering based on event type.
-     */
-    let content = "";
+    group.append(includeTokenLabel, actions, preview);
+    return group;
+  }
+
+  /**
+   * Records that a synced setting changed locally, so the next sync pushes
+   * it, and schedules that push when gist sync is on.
+   */
+  async function markSettingsChanged() {
+    if (applyingSyncedSettings) return;
     try {
-      switch (type) {
-        case "WatchEvent":
-          content = `${actorAvatar}${actorLink} ${
-            payload?.action === "started" ? "starred" : payload?.action || "did"
-          } ${repoLink}`;
-          break;
+      await GM.setValue(SETTINGS_UPDATED_AT_KEY, Date.now());
+    } catch (e) {
+      console.error("Failed to persist settings timestamp:", e);
+    }
+    if (gistSyncEnabled) {
+      clearTimeout(gistPushTimer);
+      gistPushTimer = setTimeout(async () => {
+        const token = await getToken();
+        if (token) await syncSettingsWithGist(token, "push");
+      }, GIST_PUSH_DELAY_MS);
+    }
+  }
 
-        case "ForkEvent":
-          content = `${actorAvatar}${actorLink} forked <a href="${
-            payload?.forkee?.html_url || "#"
-          }" target="_blank" rel="noopener noreferrer">${DOMPurify.sanitize(
-            payload?.forkee?.full_name || ""
-          )}</a> from ${repoLink}`;
-          break;
+  /**
+   * Sends a request to the GitHub API.
+   * @param {string} token
+   * @param {string} method
+   * @param {string} path - e.g. "/gists"
+   * @param {object} [body] - Sent as JSON
+   * @returns {Promise<object>} The parsed response
+   */
+  async function apiRequest(token, method, path, body) {
+    const headers = {
+      Authorization: `token ${token}`,
+      Accept: "application/vnd.github+json",
+    };
+    if (body) headers["Content-Type"] = "application/json";
+    let res;
+    try {
+      res = await fetch(`https://api.github.com${path}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+      });
+    } catch (e) {
+      throw createApiError("network", `Network error: ${e.message}`);
+    }
+    recordRateLimit(res.headers);
+    // A rate limit is not a missing permission, even as a 403
+    const wait = await getRateLimitWait(res);
+    if (wait) {
+      throw createApiError(
+        "rate_limited",
+        `GitHub API ${wait.secondary ? "secondary " : ""}rate limit exceeded`,
+        {
+          resetAt: Date.now() + (wait.delayMs ?? SECONDARY_RATE_LIMIT_DELAY_MS),
+        }
+      );
+    }
+    if (res.status === 401) {
+      throw createApiError("auth", "Token is invalid or expired");
+    }
+    if (!res.ok) {
+      throw createApiError(
+        "unexpected",
+        `GitHub API error: ${res.status} ${res.statusText}`,
+        { status: res.status }
+      );
+    }
+    // e.g. 205 Reset Content after marking a notification as read
+    if (res.status === 204 || res.status === 205) return null;
+    return res.json();
+  }
 
-        case "PushEvent":
-          {
-            const commits = payload?.commits || [];
-            content = `${actorAvatar}${actorLink} pushed <a href="https://github.com/${
-              repo?.name || ""
-            }/compare/${payload?.before || ""}...${
-              payload?.head || ""
-            }" target="_blank" rel="noopener noreferrer">${
-              (payload?.size || 0) === 0
-                ? "something"
-                : `${payload?.size} ${
-                    payload?.size === 1 ? "commit" : "commits"
-                  }`
-            }</a> to ${repoLink}`;
+  /**
+   * Sends a request to the gists API, explaining a missing permission.
+   * @param {string} token
+   * @param {string} method
+   * @param {string} path - e.g. "/gists"
+   * @param {object} [body] - Sent as JSON
+   * @returns {Promise<object>} The parsed response
+   */
+  async function gistRequest(token, method, path, body) {
+    try {
+      return await apiRequest(token, method, path, body);
+    } catch (e) {
+      if (e.status !== 403) throw e;
+      throw createApiError(
+        "unexpected",
+        'The token needs the "Gists" account permission (read and write)',
+        { status: e.status }
+      );
+    }
+  }
 
-            if (commits.length > 0) {
-              let list = [];
-              for (const commit of commits.slice(0, 9)) {
-                const messages = (commit.message || "").split("\n");
+  /**
+   * Finds the settings gist: the remembered one, or else the first of the
+   * user's gists containing the settings file.
+   * @param {string} token
+   * @returns {Promise<object|null>} The full gist, or null if there is none yet
+   */
+  async function findSettingsGist(token) {
+    const id = await GM.getValue(GIST_SYNC_ID_KEY, null);
+    if (id) {
+      try {
+        return await gistRequest(token, "GET", `/gists/${id}`);
+      } catch (e) {
+        // Deleted gists are looked up again below
+        if (e.status !== 404) throw e;
+      }
+    }
+    for (let page = 1; page <= 10; page++) {
+      const gists = await gistRequest(
+        token,
+        "GET",
+        `/gists?per_page=100&page=${page}`
+      );
+      const found = gists.find((gist) => gist.files?.[GIST_SYNC_FILE_NAME]);
+      if (found) {
+        await GM.setValue(GIST_SYNC_ID_KEY, found.id);
+        // Listed gists don't include file contents
+        return gistRequest(token, "GET", `/gists/${found.id}`);
+      }
+      if (gists.length < 100) break;
+    }
+    return null;
+  }
+
+  /**
+   * Uploads the non-secret settings to the settings gist, creating a
+   * private gist on first use.
+   * @param {string} token
+   * @param {object|null} gist - The settings gist, if it exists
+   */
+  async function pushSettingsToGist(token, gist) {
+    const data = await exportSettings(false);
+    data.updatedAt = await GM.getValue(SETTINGS_UPDATED_AT_KEY, 0);
+    if (!data.updatedAt) {
+      // Settings never changed here are still newer than none at all
+      data.updatedAt = Date.now();
+      await GM.setValue(SETTINGS_UPDATED_AT_KEY, data.updatedAt);
+    }
+    const files = {
+      [GIST_SYNC_FILE_NAME]: { content: JSON.stringify(data, null, 2) },
+    };
+    if (gist) {
+      await gistRequest(token, "PATCH", `/gists/${gist.id}`, { files });
+      return;
+    }
+    const created = await gistRequest(token, "POST", "/gists", {
+      description: "GitHub Dashboard Feed settings",
+      public: false,
+      files,
+    });
+    await GM.setValue(GIST_SYNC_ID_KEY, created.id);
+  }
+
+  /**
+   * Applies the settings stored in the settings gist, except the token, and
+   * reloads a feed that is already shown. Pulls are silent: the outcome is
+   * reported through gistSyncStatus.
+   * @param {string} text - Content of the settings file
+   * @param {number} updatedAt - Timestamp of the remote settings
+   */
+  async function applyGistSettings(text, updatedAt) {
+    const changes = (await previewSettingsImport(text)).filter(
+      (change) => !change.secret
+    );
+    applyingSyncedSettings = true;
+    try {
+      for (const { key, to } of changes) {
+        await saveSetting(key, to, key);
+      }
+      if (changes.length > 0) await loadSettings();
+    } finally {
+      applyingSyncedSettings = false;
+    }
+    await GM.setValue(SETTINGS_UPDATED_AT_KEY, updatedAt);
+    if (changes.length > 0 && feedContext) {
+      await applyFeedPlacement();
+      await initialLoad(
+        feedContext.username,
+        feedContext.token,
+        feedContext.parent
+      );
+    }
+  }
+
+  /**
+   * Syncs the settings with the settings gist. "auto" keeps whichever side
+   * changed last (last write wins); "pull" and "push" force a direction.
+   * Failures are reflected in gistSyncStatus.
+   * @param {string} token
+   * @param {"auto"|"pull"|"push"} direction
+   */
+  async function syncSettingsWithGist(token, direction = "auto") {
+    try {
+      const gist = await findSettingsGist(token);
+      const text = gist?.files?.[GIST_SYNC_FILE_NAME]?.content || null;
+      let remoteUpdatedAt = 0;
+      if (text) {
+        try {
+          remoteUpdatedAt = Number(JSON.parse(text).updatedAt) || 0;
+        } catch {
+          // An unreadable remote file is overwritten by the next push
+        }
+      }
+      const localUpdatedAt = await GM.getValue(SETTINGS_UPDATED_AT_KEY, 0);
+
+      let pull = direction === "pull";
+      let push = direction === "push";
+      if (direction === "auto") {
+        pull = !!text && remoteUpdatedAt > localUpdatedAt;
+        push = !text || localUpdatedAt > remoteUpdatedAt;
+      }
+      if (pull) {
+        if (!text) throw new Error("There are no synced settings yet");
+        await applyGistSettings(text, remoteUpdatedAt);
+        gistSyncStatus = `Pulled at ${new Date().toLocaleTimeString()}`;
+        return;
+      }
+      if (push) {
+        await pushSettingsToGist(token, gist);
+        gistSyncStatus = `Pushed at ${new Date().toLocaleTimeString()}`;
+        return;
+      }
+      gistSyncStatus = `Up to date at ${new Date().toLocaleTimeString()}`;
+    } catch (e) {
+      // Shown in the settings dialog rather than notified
+      gistSyncStatus = `Sync failed: ${e.message}`;
+      console.debug("Settings sync failed:", e);
+    }
+  }
+
+  /**
+   * Creates the gist sync controls of the settings dialog.
+   * @returns {HTMLElement}
+   */
+  function createGistSyncGroup() {
+    const group = createSettingsGroup("Settings sync");
+    const item = document.createElement("div");
+    item.className = "form-checkbox";
+    item.style.margin = "8px 0";
+    const label = document.createElement("label");
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.checked = gistSyncEnabled;
+    label.append(input, " Sync through a private gist");
+    const note = document.createElement("p");
+    note.className = "note";
+    note.textContent =
+      'Keeps the settings, except the token, in a private gist so other browsers can pick them up; the latest change wins. The token needs the "Gists" account permission (read and write).';
+    item.append(label, note);
+
+    const status = document.createElement("p");
+    status.className = "note gh-dashboard-feed-sync-status";
+    status.textContent = gistSyncStatus;
+
+    const actions = document.createElement("div");
+    actions.style.display = "flex";
+    actions.style.gap = "8px";
+    actions.style.margin = "8px 0";
+    /**
+     * Runs a sync from the dialog, showing its progress and outcome.
+     * @param {"auto"|"pull"|"push"} direction
+     */
+    const runSync = async (direction) => {
+      const token = await getToken();
+      if (!token) {
+        status.textContent = "Configure a token first.";
+        return;
+      }
+      status.textContent = "Syncing...";
+      for (const btn of actions.querySelectorAll("button")) btn.disabled = true;
+      await syncSettingsWithGist(token, direction);
+      if (direction === "pull" && !gistSyncStatus.startsWith("Sync failed")) {
+        // The pulled values are only shown in a fresh dialog
+        await openSettingsDialog();
+        return;
+      }
+      for (const btn of actions.querySelectorAll("button"))
+        btn.disabled = false;
+      status.textContent = gistSyncStatus;
+    };
+    for (const direction of ["pull", "push"]) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "btn btn-sm";
+      btn.textContent = direction === "pull" ? "Pull" : "Push";
+      btn.title =
+        direction === "pull"
+          ? "Replace these settings with the synced ones"
+          : "Replace the synced settings with these";
+      btn.onclick = () => runSync(direction);
+      actions.appendChild(btn);
+    }
+
+    input.onchange = async () => {
+      gistSyncEnabled = input.checked;
+      await saveSetting(
+        GIST_SYNC_ENABLED_KEY,
+        gistSyncEnabled,
+        "Settings Sync"
+      );
+      if (gistSyncEnabled) await runSync("auto");
+    };
+
+    group.append(item, actions, status);
+    return group;
+  }
+
+  /**
+   * Retrieves the GitHub personal access token from storage.
+   * @returns {Promise<string|null>}
+   */
+  async function getToken() {
+    try {
+      const token = await GM.getValue(TOKEN_KEY, "");
+      return typeof token === "string" && token.trim().length > 0
+        ? token.trim()
+        : null;
+    } catch (e) {
+      console.error("Error fetching token:", e);
+      return null;
+    }
+  }
+
+  /**
+   * Attempts to extract the currently logged-in username from DOM.
+   * @returns {string|null}
+   */
+  function getUsername() {
+    try {
+      const metaUserLogin = document.querySelector('meta[name="user-login"]');
+      if (metaUserLogin?.content) return metaUserLogin.content;
+      const metaActorLogin = document.querySelector(
+        'meta[name="octolytics-actor-login"]'
+      );
+      if (metaActorLogin?.content) return metaActorLogin.content;
+      const dataLogin = document.querySelector("[data-login]");
+      if (dataLogin?.getAttribute("data-login"))
+        return dataLogin.getAttribute("data-login");
+    } catch (e) {
+      console.error("Error detecting username:", e);
+    }
+    return null;
+  }
+
+  /**
+   * Waits for username to be available in DOM.
+   * @param {number} timeout - Timeout in ms
+   * @returns {Promise<string>}
+   */
+  function waitForUsername(timeout = 4000) {
+    return new Promise((resolve, reject) => {
+      const start = Date.now();
+      (function poll() {
+        const username = getUsername();
+        if (username) return resolve(username);
+        if (Date.now() - start > timeout)
+          return reject(new Error("Timed out waiting for username"));
+        setTimeout(poll, 350);
+      })();
+    });
+  }
+
+  /**
+   * Waits for the right sidebar to appear.
+   * @param {number} timeout - Timeout in ms
+   * @returns {Promise<Element>}
+   */
+  function waitForSidebar(timeout = 6000) {
+    return new Promise((resolve, reject) => {
+      const start = Date.now();
+      (function poll() {
+        try {
+          const sidebar = document.querySelector(".feed-right-sidebar");
+          if (sidebar) return resolve(sidebar);
+          if (Date.now() - start > timeout)
+            return reject(
+              new Error("Timed out waiting for feed-right-sidebar")
+            );
+          setTimeout(poll, 300);
+        } catch (e) {
+          reject(e);
+        }
+      })();
+    });
+  }
+
+  /**
+   * Waits for the middle feed-container to appear.
+   * @param {number} timeout - Timeout in ms
+   * @returns {Promise<Element>}
+   */
+  function waitForFeedContainer(timeout = 6000) {
+    return new Promise((resolve, reject) => {
+      const start = Date.now();
+      (function poll() {
+        try {
+          const feedContainer = document.querySelector("feed-container");
+          if (feedContainer) return resolve(feedContainer);
+          if (Date.now() - start > timeout)
+            return reject(new Error("Timed out waiting for feed-container"));
+          setTimeout(poll, 300);
+        } catch (e) {
+          reject(e);
+        }
+      })();
+    });
+  }
+
+  /**
+   * Creates an Error tagged with a kind, so callers can tell failures apart.
+   * @param {string} kind - "auth", "rate_limited", "network", "unexpected" or "aborted"
+   * @param {string} message
+   * @param {object} details - Extra properties, e.g. resetAt
+   * @returns {Error}
+   */
+  function createApiError(kind, message, details = {}) {
+    const error = new Error(message);
+    error.kind = kind;
+    Object.assign(error, details);
+    return error;
+  }
+
+  /**
+   * Records the rate limit headers of a response and refreshes the indicator.
+   * @param {Headers} headers
+   */
+  function recordRateLimit(headers) {
+    const remaining = headers.get("X-RateLimit-Remaining");
+    if (remaining === null) return;
+    // Only the core quota limits loading; GraphQL has its own
+    const resource = headers.get("X-RateLimit-Resource");
+    if (resource && resource !== "core") return;
+    const limit = Number(headers.get("X-RateLimit-Limit"));
+    const reset = Number(headers.get("X-RateLimit-Reset"));
+    rateLimit = {
+      remaining: Number(remaining),
+      limit: Number.isFinite(limit) ? limit : null,
+      resetAt: Number.isFinite(reset) ? reset * 1000 : null,
+    };
+    updateRateLimitIndicator();
+  }
+
+  /**
+   * Determines whether the primary rate limit is exhausted until its reset.
+   * @returns {boolean}
+   */
+  function isRateLimited() {
+    return (
+      rateLimit.remaining === 0 &&
+      rateLimit.resetAt !== null &&
+      rateLimit.resetAt > Date.now()
+    );
+  }
+
+  /**
+   * Formats a duration as a countdown, e.g. "4:05" or "1:02:03".
+   * @param {number} ms
+   * @returns {string}
+   */
+  function formatCountdown(ms) {
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, "0");
+    return hours > 0
+      ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}`
+      : `${minutes}:${seconds}`;
+  }
+
+  /**
+   * Tells whether a failed response is a rate limit, and how long to wait.
+   * Follows GitHub's guidance: Retry-After first, then X-RateLimit-Reset when
+   * the quota is exhausted, otherwise a secondary limit without a hint.
+   * @param {Response} res
+   * @returns {Promise<{secondary: boolean, delayMs: number|null}|null>} - null if not rate limited
+   */
+  async function getRateLimitWait(res) {
+    if (res.status !== 403 && res.status !== 429) return null;
+    const retryAfter = Number(res.headers.get("Retry-After"));
+    if (
+      res.headers.get("Retry-After") !== null &&
+      Number.isFinite(retryAfter)
+    ) {
+      return { secondary: true, delayMs: retryAfter * 1000 };
+    }
+    if (res.headers.get("X-RateLimit-Remaining") === "0") {
+      return {
+        secondary: false,
+        delayMs: rateLimit.resetAt ? rateLimit.resetAt - Date.now() : null,
+      };
+    }
+    if (res.status === 429) return { secondary: true, delayMs: null };
+    try {
+      const body = await res.json();
+      if (/rate limit/i.test(body?.message || "")) {
+        return { secondary: true, delayMs: null };
+      }
+    } catch {
+      // Not a JSON error body
+    }
+    return null;
+  }
+
+  /**
+   * Shows the remaining API quota in the header, and a countdown while the
+   * quota is exhausted. Also refreshes the More button state.
+   */
+  function updateRateLimitIndicator() {
+    const indicator = containerRef?.querySelector(
+      ".gh-dashboard-feed-rate-limit"
+    );
+    const limited = isRateLimited();
+    if (indicator && rateLimit.remaining !== null) {
+      indicator.textContent = limited
+        ? `Rate limited, resets in ${formatCountdown(
+            rateLimit.resetAt - Date.now()
+          )}`
+        : `${rateLimit.remaining}${
+            rateLimit.limit ? `/${rateLimit.limit}` : ""
+          } API requests left`;
+      indicator.title = rateLimit.resetAt
+        ? `Quota resets at ${new Date(rateLimit.resetAt).toLocaleTimeString()}`
+        : "";
+      indicator.classList.toggle("color-fg-danger", limited);
+    }
+    updateMoreButtonState();
+
+    if (limited && rateLimitTicker === null) {
+      rateLimitTicker = setInterval(updateRateLimitIndicator, 1000);
+    } else if (!limited && rateLimitTicker !== null) {
+      clearInterval(rateLimitTicker);
+      rateLimitTicker = null;
+      rearmScrollSentinel();
+    }
+  }
+
+  /**
+   * Determines whether events should be archived and read back from the archive.
+   * @returns {boolean}
+   */
+  function isArchiveEnabled() {
+    return archiveMaxEvents > 0 && typeof indexedDB !== "undefined";
+  }
+
+  /**
+   * Opens (and on first use creates) the IndexedDB event archive.
+   * Records look like { key: "username:eventId", username, created_at, event }.
+   * @returns {Promise<IDBDatabase>}
+   */
+  function openArchive() {
+    if (!archiveDbPromise) {
+      archiveDbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(ARCHIVE_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(ARCHIVE_STORE_NAME, {
+            keyPath: "key",
+          });
+          store.createIndex("by_user_date", ["username", "created_at"]);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Allow a later retry if opening failed
+      archiveDbPromise.catch(() => {
+        archiveDbPromise = null;
+      });
+    }
+    return archiveDbPromise;
+  }
+
+  /**
+   * Resolves once an IndexedDB transaction has completed.
+   * @param {IDBTransaction} tx
+   * @returns {Promise<void>}
+   */
+  function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Iterates an index cursor, calling visit for each record until it returns false.
+   * @param {IDBIndex} index
+   * @param {IDBKeyRange} range
+   * @param {IDBCursorDirection} direction
+   * @param {(cursor: IDBCursorWithValue) => boolean} visit
+   * @returns {Promise<void>}
+   */
+  function walkIndex(index, range, direction, visit) {
+    return new Promise((resolve, reject) => {
+      const request = index.openCursor(range, direction);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || visit(cursor) === false) return resolve();
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Adds events to the archive (deduplicated by event id) and applies the caps.
+   * Failures are logged and never affect the feed.
+   * @param {string} username - Receiving user
+   * @param {Array} events - Raw GitHub event objects
+   */
+  async function archiveEvents(username, events) {
+    if (!isArchiveEnabled() || events.length === 0) return;
+    try {
+      const db = await openArchive();
+      const tx = db.transaction(ARCHIVE_STORE_NAME, "readwrite");
+      const store = tx.objectStore(ARCHIVE_STORE_NAME);
+      for (const event of events) {
+        if (!event?.id || !event.created_at) continue;
+        store.put({
+          key: `${username}:${event.id}`,
+          username,
+          created_at: event.created_at,
+          event,
+        });
+      }
+      await transactionDone(tx);
+      await pruneArchive(username);
+    } catch (e) {
+      console.error("Failed to archive events:", e);
+    }
+  }
+
+  /**
+   * Deletes a user's archived events that are older than the age cap, then
+   * the oldest ones beyond the size cap.
+   * @param {string} username
+   */
+  async function pruneArchive(username) {
+    const db = await openArchive();
+    const tx = db.transaction(ARCHIVE_STORE_NAME, "readwrite");
+    const done = transactionDone(tx);
+    const index = tx.objectStore(ARCHIVE_STORE_NAME).index("by_user_date");
+    const cutoff = new Date(
+      Date.now() - archiveMaxAgeDays * 24 * 60 * 60 * 1000
+    ).toISOString();
+    await walkIndex(
+      index,
+      IDBKeyRange.bound([username, ""], [username, cutoff], false, true),
+      "next",
+      (cursor) => {
+        cursor.delete();
+        return true;
+      }
+    );
+    const userRange = IDBKeyRange.bound([username, ""], [username, "\uffff"]);
+    const count = await new Promise((resolve, reject) => {
+      const request = index.count(userRange);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    let excess = count - archiveMaxEvents;
+    if (excess > 0) {
+      await walkIndex(index, userRange, "next", (cursor) => {
+        cursor.delete();
+        return --excess > 0;
+      });
+    }
+    await done;
+  }
+
+  /**
+   * Reads archived events of a user, newest first, up to and including a date.
+   * @param {string} username
+   * @param {string} before - ISO date, inclusive upper bound
+   * @param {number} offset - Number of matching records to skip
+   * @param {number} limit - Maximum number of records to read
+   * @returns {Promise<Array>} - Raw GitHub event objects
+   */
+  async function readArchivedEvents(username, before, offset, limit) {
+    const db = await openArchive();
+    const tx = db.transaction(ARCHIVE_STORE_NAME, "readonly");
+    const index = tx.objectStore(ARCHIVE_STORE_NAME).index("by_user_date");
+    const events = [];
+    let skipped = 0;
+    await walkIndex(
+      index,
+      IDBKeyRange.bound([username, ""], [username, before]),
+      "prev",
+      (cursor) => {
+        if (skipped < offset) {
+          skipped++;
+          return true;
+        }
+        events.push(cursor.value.event);
+        return events.length < limit;
+      }
+    );
+    return events;
+  }
+
+  /**
+   * Returns the created_at of the oldest event.
+   * @param {Array} events
+   * @returns {string|null}
+   */
+  function oldestCreatedAt(events) {
+    let oldest = null;
+    for (const event of events) {
+      if (event?.created_at && (!oldest || event.created_at < oldest)) {
+        oldest = event.created_at;
+      }
+    }
+    return oldest;
+  }
+
+  /**
+   * Updates the paging state after a page was loaded from the API.
+   * Once the API has no further pages, paging continues into the archive.
+   * @param {boolean} apiHasNext - Whether the API has another page
+   */
+  function updatePagingAfterApiPage(apiHasNext) {
+    if (apiHasNext) {
+      hasMore = true;
+      archiveBefore = null;
+    } else {
+      archiveBefore = oldestApiEventAt;
+      archiveOffset = 0;
+      // The release radar always lists every release it knows of
+      hasMore =
+        isArchiveEnabled() && archiveBefore !== null && !releaseRadarEnabled;
+    }
+  }
+
+  /**
+   * Resolves an extra event source spec: `mine` (your own events),
+   * `org:NAME` (an organization dashboard), `repo:OWNER/NAME`,
+   * `user:LOGIN` (someone's public events) or `notifications`
+   * (`notifications:participating` for those you participate in).
+   * @param {string} spec
+   * @param {string} username - The signed-in user
+   * @returns {{id: string, label: string, path?: string, fetchPage?: Function}|null} Null for an invalid spec
+   */
+  function parseEventSource(spec, username) {
+    for (const kind of EVENT_SOURCE_KINDS) {
+      const match = kind.pattern.exec(spec);
+      if (match) {
+        return {
+          id: spec,
+          label: kind.label(match),
+          path: kind.path?.(encodeURIComponent(username), match),
+          fetchPage: kind.fetchPage,
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Lists the event sources of the feed: the received events (or the
+   * organization dashboard), followed by the configured extra sources.
+   * The release radar replaces them all.
+   * @param {string} username
+   * @returns {Array<{id: string, label: string, path?: string, fetchPage?: Function}>}
+   */
+  function getEventSources(username) {
+    if (releaseRadarEnabled) {
+      return [
+        { id: "releases", label: "Releases", fetchPage: fetchReleaseRadarPage },
+      ];
+    }
+    const sources = [
+      dashboardOrg
+        ? parseEventSource(`org:${dashboardOrg}`, username)
+        : {
+            id: "received",
+            label: "Received",
+            path: `/users/${encodeURIComponent(username)}/received_events`,
+          },
+    ];
+    for (const spec of eventSourceSpecs) {
+      const source = parseEventSource(spec, username);
+      if (
+        source &&
+        !sources.some(
+          (s) => s.id === source.id || (source.path && s.path === source.path)
+        )
+      ) {
+        sources.push(source);
+      }
+    }
+    return sources;
+  }
+
+  /**
+   * Partitions the events cache, the last seen event and the archive by
+   * feed: the username, suffixed with the organization in organization
+   * dashboard mode, or with "releases" for the release radar.
+   * @param {string} username
+   * @returns {string}
+   */
+  function getFeedKey(username) {
+    if (releaseRadarEnabled) return `${username}/releases`;
+    return dashboardOrg ? `${username}/org:${dashboardOrg}` : username;
+  }
+
+  /**
+   * Reads the organization whose dashboard the user chose to see.
+   * @param {string} username
+   * @returns {Promise<string|null>} Null for the received events
+   */
+  async function readDashboardOrg(username) {
+    try {
+      const org = await GM.getValue(DASHBOARD_ORG_KEY_PREFIX + username, null);
+      if (typeof org === "string" && /^[\w.-]+$/.test(org)) return org;
+    } catch (e) {
+      console.error("Failed to read the dashboard organization:", e);
+    }
+    return null;
+  }
+
+  /**
+   * Reads whether the user chose to see the release radar.
+   * @param {string} username
+   * @returns {Promise<boolean>}
+   */
+  async function readReleaseRadarEnabled(username) {
+    try {
+      return (
+        (await GM.getValue(RELEASE_RADAR_KEY_PREFIX + username, false)) === true
+      );
+    } catch (e) {
+      console.error("Failed to read the release radar setting:", e);
+      return false;
+    }
+  }
+
+  /**
+   * Lists the logins of the user's organizations, once per page load.
+   * @param {string} token
+   * @returns {Promise<string[]>} Empty if they cannot be listed
+   */
+  function fetchUserOrgs(token) {
+    if (!userOrgsPromise) {
+      userOrgsPromise = apiRequest(token, "GET", "/user/orgs?per_page=100")
+        .then((orgs) =>
+          Array.isArray(orgs) ? orgs.map((org) => org.login) : []
+        )
+        .catch((e) => {
+          console.error("Failed to list your organizations:", e);
+          return [];
+        });
+    }
+    return userOrgsPromise;
+  }
+
+  /**
+   * Creates the header selector that switches between the received events,
+   * the release radar and the user's organization dashboards.
+   * @param {string} username
+   * @param {string} token
+   * @returns {HTMLSelectElement}
+   */
+  function createDashboardSelect(username, token) {
+    const select = document.createElement("select");
+    select.className = "form-select select-sm gh-dashboard-feed-dashboard";
+    select.setAttribute("aria-label", "Dashboard");
+    select.style.margin = "0 5px 16px 0";
+    /**
+     * Replaces the options, keeping the chosen organization listed.
+     * @param {string[]} orgs
+     */
+    const fillOptions = (orgs) => {
+      const names =
+        dashboardOrg && !orgs.includes(dashboardOrg)
+          ? [dashboardOrg, ...orgs]
+          : orgs;
+      select.replaceChildren(
+        new Option("Received events", ""),
+        new Option("Releases", "releases")
+      );
+      for (const name of names) select.add(new Option(name, `org:${name}`));
+      select.value = releaseRadarEnabled
+        ? "releases"
+        : dashboardOrg
+        ? `org:${dashboardOrg}`
+        : "";
+    };
+    fillOptions([]);
+    fetchUserOrgs(token).then(fillOptions);
+    select.onchange = async () => {
+      releaseRadarEnabled = select.value === "releases";
+      dashboardOrg = select.value.startsWith("org:")
+        ? select.value.slice(4)
+        : null;
+      await saveSetting(
+        RELEASE_RADAR_KEY_PREFIX + username,
+        releaseRadarEnabled,
+        "Release Radar"
+      );
+      await saveSetting(
+        DASHBOARD_ORG_KEY_PREFIX + username,
+        dashboardOrg,
+        "Organization Dashboard"
+      );
+      await reloadFeed();
+    };
+    return select;
+  }
+
+  /**
+   * Renders the badge naming the source of an event, when the feed merges
+   * more than one source.
+   * @param {object} event - GitHub event object, tagged by fetchEvents
+   * @returns {string} HTML, empty without extra sources
+   */
+  function renderSourceBadge(event) {
+    if (eventSourceSpecs.length === 0 || !event?.feed_source) return "";
+    const source =
+      event.feed_source === "received"
+        ? { label: "Received" }
+        : parseEventSource(event.feed_source, "");
+    if (!source) return "";
+    return `<span class="Label Label--secondary gh-dashboard-feed-source" style="margin-left:6px">${DOMPurify.sanitize(
+      source.label
+    )}</span>`;
+  }
+
+  /**
+   * Fetches events of an event source from the GitHub API.
+   * When an ETag is given, the request is conditional: an unchanged page
+   * answers 304, which does not count against the rate limit.
+   * Secondary rate limits are retried with backoff; an exhausted quota throws
+   * an error of kind "rate_limited" without sending the request.
+   * Every fetched event is tagged with its source id (`feed_source`) and
+   * added to the local archive.
+   * @param {{id: string, path: string}} source - See getEventSources
+   * @param {string} username - GitHub username
+   * @param {string} token    - GitHub Personal Access Token
+   * @param {number} perPage  - Items per page
+   * @param {number} page     - Page number
+   * @param {string|null} etag - ETag of a previous response for this page
+   * @param {AbortSignal|null} signal - Cancels the request with an error of kind "aborted"
+   * @returns {Promise<{events: Array, hasNext: boolean, etag: string|null, pollInterval: number|null, notModified: boolean}>}
+   */
+  async function fetchEvents(
+    source,
+    username,
+    token,
+    perPage = 30,
+    page = 1,
+    etag = null,
+    signal = null
+  ) {
+    // The feed mode may change while the request is in flight
+    const feedKey = getFeedKey(username);
+    const res = await conditionalGet(
+      token,
+      `${source.path}?per_page=${perPage}&page=${page}`,
+      etag,
+      signal
+    );
+    const meta = { etag: res.etag, pollInterval: res.pollInterval };
+    if (res.notModified) {
+      return { events: [], hasNext: false, ...meta, notModified: true };
+    }
+    const events = res.data;
+    if (!Array.isArray(events)) {
+      throw createApiError(
+        "unexpected",
+        "Unexpected GitHub API response: not an array"
+      );
+    }
+    for (const event of events) {
+      if (event && typeof event === "object") event.feed_source = source.id;
+    }
+    archiveEvents(feedKey, events);
+    return { events, hasNext: res.hasNext, ...meta, notModified: false };
+  }
+
+  /**
+   * Sends a conditional GET request to the GitHub API: with the ETag of a
+   * previous response, an unchanged resource answers 304, which does not
+   * count against the rate limit. Secondary rate limits are retried with
+   * backoff; an exhausted quota throws an error of kind "rate_limited"
+   * without sending the request.
+   * @param {string} token
+   * @param {string} path - e.g. "/user/starred?per_page=100"
+   * @param {string|null} etag
+   * @param {AbortSignal|null} signal - Cancels the request with an error of kind "aborted"
+   * @returns {Promise<{data: *, etag: string|null, hasNext: boolean, pollInterval: number|null, notModified: boolean}>}
+   */
+  async function conditionalGet(token, path, etag, signal) {
+    if (isRateLimited()) {
+      throw createApiError("rate_limited", "GitHub API rate limit exceeded", {
+        resetAt: rateLimit.resetAt,
+      });
+    }
+    const headers = {
+      Authorization: `token ${token}`,
+      Accept: "application/vnd.github+json",
+    };
+    if (etag) headers["If-None-Match"] = etag;
+
+    let res;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        res = await fetch(`https://api.github.com${path}`, { headers, signal });
+      } catch (e) {
+        if (e.name === "AbortError") {
+          throw createApiError("aborted", "Request aborted");
+        }
+        throw createApiError("network", `Network error: ${e.message}`);
+      }
+      recordRateLimit(res.headers);
+      const wait = await getRateLimitWait(res);
+      if (!wait) break;
+      const delayMs =
+        wait.delayMs ?? SECONDARY_RATE_LIMIT_DELAY_MS * 2 ** attempt;
+      if (
+        !wait.secondary ||
+        attempt >= MAX_RATE_LIMIT_RETRIES ||
+        // The countdown of the error covers a long wait
+        delayMs > MAX_RATE_LIMIT_WAIT_MS
+      ) {
+        throw createApiError(
+          "rate_limited",
+          `GitHub API ${wait.secondary ? "secondary " : ""}rate limit exceeded`,
+          { resetAt: Date.now() + delayMs }
+        );
+      }
+      // The rate limit indicator shows the state, so this doesn't notify
+      console.debug(
+        `Secondary rate limit hit, retrying in ${Math.ceil(
+          delayMs / 1000
+        )} seconds`
+      );
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, delayMs);
+        signal?.addEventListener(
+          "abort",
+          () => {
+            clearTimeout(timer);
+            reject(createApiError("aborted", "Request aborted"));
+          },
+          { once: true }
+        );
+      });
+    }
+    if (res.status === 401) {
+      throw createApiError("auth", "Token is invalid or expired");
+    }
+    const pollInterval = Number(res.headers.get("X-Poll-Interval"));
+    const meta = {
+      etag: res.headers.get("ETag") || etag,
+      hasNext: /rel="next"/.test(res.headers.get("Link") || ""),
+      pollInterval:
+        Number.isFinite(pollInterval) && pollInterval > 0 ? pollInterval : null,
+    };
+    if (res.status === 304) return { data: null, ...meta, notModified: true };
+    if (!res.ok) {
+      throw createApiError(
+        "unexpected",
+        `GitHub API error: ${res.status} ${res.statusText}`,
+        { status: res.status }
+      );
+    }
+    let data;
+    try {
+      data = await res.json();
+    } catch (e) {
+      if (e.name === "AbortError") {
+        throw createApiError("aborted", "Request aborted");
+      }
+      throw createApiError(
+        "unexpected",
+        `Unexpected GitHub API response: ${e.message}`
+      );
+    }
+    return { data, ...meta, notModified: false };
+  }
+
+  /**
+   * Keeps the release fields the radar cards and search use, so the cache
+   * stays small.
+   * @param {Array} releases - Releases from the GitHub API
+   * @returns {Array}
+   */
+  function trimReleases(releases) {
+    return (Array.isArray(releases) ? releases : []).map((release) => ({
+      id: release.id,
+      tag_name: release.tag_name,
+      name: release.name,
+      html_url: release.html_url,
+      body:
+        typeof release.body === "string" &&
+        release.body.length > RELEASE_RADAR_BODY_MAX_LENGTH
+          ? `${release.body.slice(0, RELEASE_RADAR_BODY_MAX_LENGTH)}...`
+          : release.body,
+      draft: release.draft,
+      prerelease: release.prerelease,
+      created_at: release.created_at,
+      published_at: release.published_at,
+      author: release.author && {
+        login: release.author.login,
+        avatar_url: release.author.avatar_url,
+      },
+    }));
+  }
+
+  /**
+   * Turns a release into a ReleaseEvent-shaped event, so it renders like
+   * the releases of the received events.
+   * @param {string} repoName - owner/name
+   * @param {object} release - See trimReleases
+   * @returns {object}
+   */
+  function releaseToEvent(repoName, release) {
+    return {
+      id: `release-${release.id}`,
+      type: "ReleaseEvent",
+      actor: release.author
+        ? { ...release.author, display_login: release.author.login }
+        : null,
+      repo: { name: repoName },
+      payload: {
+        action: release.draft ? "drafted" : "published",
+        release,
+      },
+      created_at: release.published_at || release.created_at,
+      feed_source: "releases",
+    };
+  }
+
+  /**
+   * Collects the latest releases of the user's starred and watched
+   * repositories, newest first. Every request is conditional on the ETag
+   * cached by the previous collection, so unchanged lists and repositories
+   * cost no rate limit; repositories that cannot be read are skipped. When a
+   * rate limit or a network error stops the collection early, repositories
+   * not reached keep the releases of the previous collection.
+   * @param {string} username
+   * @param {string} token
+   * @param {AbortSignal|null} signal
+   * @returns {Promise<Array>} ReleaseEvent-shaped events
+   */
+  async function collectReleaseRadar(username, token, signal) {
+    const cacheKey = RELEASE_RADAR_CACHE_KEY_PREFIX + username;
+    let previous = {};
+    try {
+      previous = (await GM.getValue(cacheKey, null)) || {};
+    } catch (e) {
+      console.error("Failed to read the release radar cache:", e);
+    }
+    // Only what this collection used is cached again
+    const cache = {};
+    const get = async (path, transform) => {
+      const cached = previous[path];
+      const res = await conditionalGet(token, path, cached?.etag, signal);
+      cache[path] =
+        res.notModified && cached
+          ? cached
+          : { etag: res.etag, hasNext: res.hasNext, data: transform(res.data) };
+      return cache[path];
+    };
+
+    const repoNames = new Set();
+    for (const list of ["/user/starred", "/user/subscriptions"]) {
+      for (let page = 1; repoNames.size < RELEASE_RADAR_MAX_REPOS; page++) {
+        let result;
+        try {
+          result = await get(`${list}?per_page=100&page=${page}`, (repos) =>
+            (Array.isArray(repos) ? repos : []).map((repo) => repo.full_name)
+          );
+        } catch (e) {
+          if (e.status !== 403) throw e;
+          throw createApiError(
+            "unexpected",
+            'The token needs the "Starring" and "Watching" account permissions (read)',
+            { status: e.status }
+          );
+        }
+        for (const name of result.data) repoNames.add(name);
+        if (!result.hasNext) break;
+      }
+    }
+
+    const names = [...repoNames].slice(0, RELEASE_RADAR_MAX_REPOS);
+    const releasesPath = (name) =>
+      `/repos/${name}/releases?per_page=${RELEASE_RADAR_RELEASES_PER_REPO}`;
+    let stopError = null;
+    for (
+      let i = 0;
+      i < names.length && !stopError;
+      i += RELEASE_RADAR_CONCURRENCY
+    ) {
+      const batch = names.slice(i, i + RELEASE_RADAR_CONCURRENCY);
+      const results = await Promise.allSettled(
+        batch.map((name) => get(releasesPath(name), trimReleases))
+      );
+      // Deleted, blocked or inaccessible repositories have a status
+      stopError =
+        results.find((result) => result.reason && !result.reason.status)
+          ?.reason || null;
+    }
+    const events = [];
+    for (const name of names) {
+      const path = releasesPath(name);
+      if (!cache[path] && stopError && previous[path]) {
+        cache[path] = previous[path];
+      }
+      for (const release of cache[path]?.data || []) {
+        events.push(releaseToEvent(name, release));
+      }
+    }
+
+    try {
+      await GM.setValue(cacheKey, cache);
+    } catch (e) {
+      console.error("Failed to write the release radar cache:", e);
+    }
+    if (stopError) {
+      if (stopError.kind === "aborted" || events.length === 0) throw stopError;
+      console.debug("Release radar stopped early:", stopError.message);
+    }
+    return mergeEvents([], events);
+  }
+
+  /**
+   * Fetches a page of the release radar, see fetchEvents for the signature.
+   * The first page collects the releases again; further pages are slices of
+   * that collection.
+   * @param {object} source
+   * @param {string} username
+   * @param {string} token
+   * @param {number} perPage
+   * @param {number} page
+   * @param {string|null} etag - Unused, every request is conditional anyway
+   * @param {AbortSignal|null} signal
+   * @returns {Promise<{events: Array, hasNext: boolean, etag: null, pollInterval: number, notModified: boolean}>}
+   */
+  async function fetchReleaseRadarPage(
+    source,
+    username,
+    token,
+    perPage,
+    page,
+    etag,
+    signal
+  ) {
+    if (page === 1) {
+      releaseRadarEvents = await collectReleaseRadar(username, token, signal);
+    }
+    const events = releaseRadarEvents.slice(
+      (page - 1) * perPage,
+      page * perPage
+    );
+    return {
+      events,
+      hasNext: releaseRadarEvents.length > page * perPage,
+      etag: null,
+      pollInterval: RELEASE_RADAR_POLL_INTERVAL_SECONDS,
+      notModified: false,
+    };
+  }
+
+  /**
+   * Turns a notification thread into a NotificationEvent-shaped event, so it
+   * is filtered, searched and paged like the other events.
+   * @param {object} thread - Notification thread from the GitHub API
+   * @param {string} sourceId
+   * @returns {object}
+   */
+  function notificationToEvent(thread, sourceId) {
+    const repoName = thread.repository?.full_name || "";
+    const repoUrl = repoName
+      ? `https://github.com/${repoName}`
+      : "https://github.com/notifications";
+    // API URLs of issues, pull requests and commits map onto their pages;
+    // other subjects, e.g. releases addressed by API id, open the repository
+    const match =
+      /^https:\/\/api\.github\.com\/repos\/([^/]+\/[^/]+)\/(issues|pulls|commits)\/(\w+)$/.exec(
+        thread.subject?.url || ""
+      );
+    const pagePaths = { issues: "issues", pulls: "pull", commits: "commit" };
+    const htmlUrl = match
+      ? `https://github.com/${match[1]}/${pagePaths[match[2]]}/${match[3]}`
+      : repoUrl;
+    return {
+      // An updated thread is a new event, which replaces the older one
+      id: `notification-${thread.id}-${Date.parse(thread.updated_at) || 0}`,
+      type: "NotificationEvent",
+      actor: null,
+      repo: { name: repoName },
+      payload: {
+        notification: {
+          thread_id: thread.id,
+          reason: thread.reason,
+          unread: !!thread.unread,
+          subject: {
+            title: thread.subject?.title,
+            type: thread.subject?.type,
+          },
+          html_url: htmlUrl,
+        },
+      },
+      created_at: thread.updated_at,
+      feed_source: sourceId,
+    };
+  }
+
+  /**
+   * Fetches a page of unread notifications, see fetchEvents for the
+   * signature. Only classic tokens with the "notifications" scope can read
+   * notifications.
+   * @param {{id: string}} source - `notifications` or `notifications:participating`
+   * @param {string} username
+   * @param {string} token
+   * @param {number} perPage
+   * @param {number} page
+   * @param {string|null} etag - ETag of a previous response for this page
+   * @param {AbortSignal|null} signal
+   * @returns {Promise<{events: Array, hasNext: boolean, etag: string|null, pollInterval: null, notModified: boolean}>}
+   */
+  async function fetchNotificationsPage(
+    source,
+    username,
+    token,
+    perPage,
+    page,
+    etag,
+    signal
+  ) {
+    const participating = /:participating$/i.test(source.id);
+    let res;
+    try {
+      res = await conditionalGet(
+        token,
+        `/notifications?participating=${participating}&per_page=${perPage}&page=${page}`,
+        etag,
+        signal
+      );
+    } catch (e) {
+      if (e.status !== 403 && e.status !== 404) throw e;
+      throw createApiError(
+        "unexpected",
+        'Notifications need a classic token with the "notifications" scope',
+        { status: e.status }
+      );
+    }
+    const threads = Array.isArray(res.data) ? res.data : [];
+    return {
+      events: threads.map((thread) => notificationToEvent(thread, source.id)),
+      hasNext: res.hasNext,
+      etag: res.etag,
+      pollInterval: null,
+      notModified: res.notModified,
+    };
+  }
+
+  /**
+   * Marks a notification thread as read on GitHub.
+   * @param {object} event - NotificationEvent-shaped event, updated in place
+   */
+  async function markNotificationRead(event) {
+    const notification = event.payload.notification;
+    await apiRequest(
+      feedContext.token,
+      "PATCH",
+      `/notifications/threads/${encodeURIComponent(notification.thread_id)}`
+    );
+    notification.unread = false;
+  }
+
+  /**
+   * Fetches a page of every given event source concurrently through the
+   * request manager and merges them newest first. The requests can be
+   * aborted, and their responses are discarded (as an error of kind
+   * "aborted") once a newer load generation has started. Failing sources
+   * are logged and left out unless all of them fail; then the caller reports
+   * the error.
+   * A conditional first page request sends the ETags of firstPages; sources
+   * answering 304 contribute their previous first page.
+   * @param {string} username
+   * @param {string} token
+   * @param {number} page
+   * @param {Array<{id: string, path: string}>} sources - See getEventSources
+   * @param {boolean} conditional - Whether to send the first page ETags
+   * @returns {Promise<{events: Array, hasNext: boolean, nextSources: Array, pollInterval: number|null, notModified: boolean}>}
+   */
+  async function requestEvents(
+    username,
+    token,
+    page,
+    sources,
+    conditional = false
+  ) {
+    const generation = loadGeneration;
+    const controller = new AbortController();
+    activeRequests.add(controller);
+    try {
+      const results = await Promise.allSettled(
+        sources.map((source) =>
+          (source.fetchPage || fetchEvents)(
+            source,
+            username,
+            token,
+            PER_PAGE,
+            page,
+            conditional ? firstPages.get(source.id)?.etag : null,
+            controller.signal
+          )
+        )
+      );
+      if (generation !== loadGeneration) {
+        throw createApiError("aborted", "Discarded an outdated response");
+      }
+      const errors = results
+        .filter((result) => result.status === "rejected")
+        .map((result) => result.reason);
+      const aborted = errors.find((e) => e.kind === "aborted");
+      if (aborted) throw aborted;
+      if (errors.length > 0 && errors.length === results.length) {
+        throw errors[0];
+      }
+      // Conditional requests are background polls, which don't notify
+      const logError = conditional ? console.debug : console.error;
+      results.forEach((result, i) => {
+        if (result.status === "rejected") {
+          logError(`Fetch error (${sources[i].id}):`, result.reason);
+        }
+      });
+
+      let events = [];
+      const nextSources = [];
+      let pollInterval = null;
+      let notModified = true;
+      results.forEach((result, i) => {
+        if (result.status !== "fulfilled") return;
+        const source = sources[i];
+        let data = result.value;
+        if (page === 1 && data.notModified) {
+          const previous = firstPages.get(source.id);
+          data = {
+            ...data,
+            events: previous.events,
+            hasNext: previous.hasNext,
+          };
+        } else if (page === 1) {
+          firstPages.set(source.id, data);
+        }
+        events = mergeEvents(events, data.events);
+        if (data.hasNext && data.events.length > 0) nextSources.push(source);
+        // The slowest source sets the pace
+        pollInterval =
+          Math.max(pollInterval || 0, data.pollInterval || 0) || null;
+        notModified = notModified && data.notModified;
+      });
+      return {
+        events,
+        hasNext: nextSources.length > 0,
+        nextSources,
+        pollInterval,
+        notModified,
+      };
+    } finally {
+      activeRequests.delete(controller);
+    }
+  }
+
+  /**
+   * Aborts all requests in flight and starts a new load generation, so
+   * responses of the previous one can no longer change the feed.
+   * @returns {number} The new generation
+   */
+  function startLoadGeneration() {
+    for (const controller of activeRequests) controller.abort();
+    activeRequests.clear();
+    prefetchedPage = null;
+    return ++loadGeneration;
+  }
+
+  /**
+   * Stops all loading, e.g. when leaving the page.
+   */
+  function cancelLoading() {
+    startLoadGeneration();
+    loading = false;
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+
+  /**
+   * Removes the old section node by ID.
+   * @param {string} sectionId
+   */
+  function removeOldSection(sectionId = FEED_SECTION_ID) {
+    try {
+      const old = document.getElementById(sectionId);
+      if (old && old.parentElement) old.parentElement.removeChild(old);
+    } catch (e) {
+      // Ignore removal failures
+    }
+  }
+
+  /**
+   * Inserts the events section into the parent, replacing any older section.
+   * @param {Element} cardsWrapper
+   * @param {Element} parent
+   * @param {string} sectionId
+   */
+  function insertEventsSectionSibling(
+    cardsWrapper,
+    parent,
+    sectionId = FEED_SECTION_ID
+  ) {
+    removeOldSection(sectionId);
+    cardsWrapper.id = sectionId;
+    try {
+      if (parent.firstChild) {
+        parent.insertBefore(cardsWrapper, parent.firstChild);
+      } else {
+        parent.appendChild(cardsWrapper);
+      }
+    } catch (e) {
+      console.error("Failed to insert events section:", e);
+    }
+  }
+
+  /**
+   * Formats a date string as a "time ago" label.
+   * @param {string} dateString
+   * @returns {string}
+   */
+  function timeAgo(dateString) {
+    if (!dateString) return "";
+    const now = new Date();
+    const date = new Date(dateString);
+    if (isNaN(date.getTime())) return "";
+    const seconds = Math.floor((now - date) / 1000);
+
+    if (seconds < 10) return "now";
+    if (seconds < 60) return `${seconds} seconds ago`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 2) return "a minute ago";
+    if (minutes < 60) return `${minutes} minutes ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 2) return "an hour ago";
+    if (hours < 24) return `${hours} hours ago`;
+    const days = Math.floor(hours / 24);
+    if (days < 2) return "a day ago";
+    if (days < 7) return `${days} days ago`;
+    const weeks = Math.floor(days / 7);
+    if (weeks < 2) return "a week ago";
+    return `${weeks} weeks ago`;
+  }
+
+  /**
+   * Renders a reactions bar if reactions exist on the target object.
+   * @param {object} reactions - Reactions object from GitHub API
+   * @returns {HTMLElement|null}
+   */
+  function renderReactionsBar(reactions) {
+    if (!reactions || typeof reactions !== "object") return null;
+    const reactionMeta = [
+      { key: "+1", emoji: "👍", label: "Thumbs up" },
+      { key: "-1", emoji: "👎", label: "Thumbs down" },
+      { key: "laugh", emoji: "😄", label: "Laugh" },
+      { key: "hooray", emoji: "🎉", label: "Hooray" },
+      { key: "confused", emoji: "😕", label: "Confused" },
+      { key: "heart", emoji: "❤️", label: "Heart" },
+      { key: "rocket", emoji: "🚀", label: "Rocket" },
+      { key: "eyes", emoji: "👀", label: "Eyes" },
+    ];
+    let hasAny = false;
+    for (const meta of reactionMeta) {
+      if (typeof reactions[meta.key] === "number" && reactions[meta.key] > 0) {
+        hasAny = true;
+        break;
+      }
+    }
+    if (!hasAny) return null;
+
+    // Styling similar to GitHub's reactions bar
+    const bar = document.createElement("div");
+    bar.className = "gh-dashboard-reactions-bar";
+    bar.style.display = "flex";
+    bar.style.flexWrap = "wrap";
+    bar.style.gap = "4px";
+    bar.style.margin = "4px 0 0 35px";
+    bar.style.alignItems = "center";
+    for (const meta of reactionMeta) {
+      const count = reactions[meta.key];
+      if (typeof count === "number" && count > 0) {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.disabled = true;
+        btn.className = "btn btn-sm btn-reaction";
+        btn.setAttribute("aria-label", `${count} ${meta.label}`);
+        btn.style.display = "inline-flex";
+        btn.style.alignItems = "center";
+        btn.style.background = "#f6f8fa";
+        btn.style.border = "1px solid #d0d7de";
+        btn.style.borderRadius = "16px";
+        btn.style.fontSize = "13px";
+        btn.style.padding = "2px 7px";
+        btn.style.color = "#57606a";
+        btn.style.cursor = "not-allowed";
+        btn.innerHTML = `<span style="font-size:15px;line-height:1">${meta.emoji}</span> <span style="margin-left:2px">${count}</span>`;
+        bar.appendChild(btn);
+      }
+    }
+    return bar;
+  }
+
+  /** Compiled patterns, keyed by their source string */
+  const patternCache = new Map();
+
+  /**
+   * Compiles a filter pattern into a RegExp.
+   * "/source/flags" is used as a regular expression; anything else is a
+   * case-insensitive glob where "*" matches any text and "?" one character.
+   * @param {string} pattern - e.g. "*[bot]", "renovate*" or "/^ci-.+$/i"
+   * @returns {RegExp|null} - null if the pattern is empty or invalid
+   */
+  function compilePattern(pattern) {
+    if (typeof pattern !== "string" || pattern.trim().length === 0) {
+      return null;
+    }
+    if (patternCache.has(pattern)) return patternCache.get(pattern);
+
+    let regex = null;
+    try {
+      const regexLiteral = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+      if (regexLiteral) {
+        // Stateful flags would make repeated .test() calls unreliable
+        const flags = regexLiteral[2].replace(/[gy]/g, "");
+        regex = new RegExp(regexLiteral[1], flags);
+      } else {
+        const source = pattern
+          .split("")
+          .map((char) =>
+            char === "*"
+              ? ".*"
+              : char === "?"
+              ? "."
+              : char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+          )
+          .join("");
+        regex = new RegExp(`^${source}$`, "i");
+      }
+    } catch (e) {
+      regex = null;
+    }
+    patternCache.set(pattern, regex);
+    return regex;
+  }
+
+  /**
+   * Cleans up a stored rule list, dropping anything that is not a non-empty string.
+   * @param {*} value - Raw value from storage
+   * @returns {string[]}
+   */
+  function normalizeRuleList(value) {
+    if (!Array.isArray(value)) return [];
+    return value
+      .filter((rule) => typeof rule === "string")
+      .map((rule) => rule.trim())
+      .filter((rule) => rule.length > 0);
+  }
+
+  /**
+   * Determines whether the given actor matches any filter rule.
+   * Checks the default preset (if enabled) and then the user-managed patterns.
+   * @param {object} actor - The event's actor object
+   * @returns {boolean}
+   */
+  function isActorFiltered(actor) {
+    if (!actor) return false;
+    if (actorFilterPresetEnabled) {
+      for (const rule of DEFAULT_ACTOR_FILTER_PRESET) {
+        for (const key of Object.keys(rule)) {
+          if (actor[key] === rule[key]) {
+            return true;
+          }
+        }
+      }
+    }
+    for (const rule of actorFilterRules) {
+      const regex = compilePattern(rule);
+      if (!regex) continue;
+      for (const value of [actor.login, actor.display_login, actor.id]) {
+        if (
+          value !== undefined &&
+          value !== null &&
+          regex.test(String(value))
+        ) {
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Determines whether the given repository is hidden by the repository rules.
+   * A repository is hidden if it matches any "!" rule, or if allow-list rules
+   * exist and it matches none of them.
+   * @param {object} repo - The event's repo object
+   * @returns {boolean}
+   */
+  function isRepoFiltered(repo) {
+    if (repoFilterRules.length === 0) return false;
+    const name = repo?.name || "";
+    let hasAllowRules = false;
+    let allowed = false;
+    for (const rule of repoFilterRules) {
+      const blocking = rule.startsWith("!");
+      const regex = compilePattern(blocking ? rule.slice(1) : rule);
+      if (!regex) continue;
+      if (blocking) {
+        if (regex.test(name)) return true;
+      } else {
+        hasAllowRules = true;
+        allowed = allowed || regex.test(name);
+      }
+    }
+    return hasAllowRules && !allowed;
+  }
+
+  /**
+   * Resolves a user-provided event type name such as "push", "Push" or "PushEvent".
+   * @param {string} name
+   * @returns {string|null} - The canonical event type, or null if unknown
+   */
+  function resolveEventType(name) {
+    const normalized = String(name || "")
+      .trim()
+      .toLowerCase()
+      .replace(/event$/, "");
+    if (normalized.length === 0) return null;
+    const match = EVENT_TYPES.find(
+      ({ type }) => type.toLowerCase().replace(/event$/, "") === normalized
+    );
+    return match ? match.type : null;
+  }
+
+  /**
+   * Drops events hidden by the actor filter, the repository rules, the
+   * hidden event types or the prerelease option.
+   * @param {Array} events - GitHub event objects
+   * @returns {Array}
+   */
+  function applyEventFilters(events) {
+    return events.filter(
+      (ev) =>
+        // Releases are often published by bots, which the radar still shows
+        !(
+          actorFilterEnabled &&
+          ev.feed_source !== "releases" &&
+          isActorFiltered(ev.actor)
+        ) &&
+        !isRepoFiltered(ev.repo) &&
+        !hiddenEventTypes.has(ev.type) &&
+        !(hidePrereleasesEnabled && ev.payload?.release?.prerelease)
+    );
+  }
+
+  /** Lower-cased searchable text per event, see getEventSearchText */
+  const eventSearchTextCache = new WeakMap();
+
+  /**
+   * Collects the searchable text of an event: actor, repo and payload text
+   * such as commit messages, titles, bodies and comments.
+   * @param {object} event - GitHub event object
+   * @returns {string} - Lower-cased text
+   */
+  function getEventSearchText(event) {
+    if (eventSearchTextCache.has(event)) return eventSearchTextCache.get(event);
+    const payload = event.payload || {};
+    const parts = [
+      event.type,
+      event.actor?.login,
+      event.actor?.display_login,
+      event.repo?.name,
+      payload.ref,
+      payload.forkee?.full_name,
+      payload.member?.login,
+      payload.issue?.title,
+      payload.issue?.body,
+      payload.pull_request?.title,
+      payload.pull_request?.body,
+      payload.comment?.body,
+      payload.review?.body,
+      payload.release?.name,
+      payload.release?.tag_name,
+      payload.release?.body,
+      payload.notification?.subject?.title,
+      payload.notification?.reason,
+      ...(payload.commits || []).map((commit) => commit.message),
+      ...(payload.pages || []).map((page) => page.title || page.page_name),
+    ];
+    const text = parts
+      .filter((part) => typeof part === "string")
+      .join("\n")
+      .toLowerCase();
+    eventSearchTextCache.set(event, text);
+    return text;
+  }
+
+  /**
+   * Compiles a feed filter query into predicates that must all match.
+   * Supported terms, each negatable with a leading "-":
+   *   type:push, repo:org/*, actor:*[bot] - glob or regex patterns
+   *   after:2026-10-01, before:2026-10-19 - dates compared to created_at
+   *   keyword, "quoted phrase"            - searched in getEventSearchText
+   * Invalid terms are ignored.
+   * @param {string} query
+   * @returns {Array<(event: object) => boolean>}
+   */
+  function compileFeedQuery(query) {
+    const predicates = [];
+    const tokenPattern =
+      /(-?)(?:(type|repo|actor|after|before):)?(?:"([^"]*)"|(\S+))/gi;
+    let match;
+    while ((match = tokenPattern.exec(query || "")) !== null) {
+      const negated = match[1] === "-";
+      const field = (match[2] || "").toLowerCase();
+      const value = (match[3] !== undefined ? match[3] : match[4]).trim();
+      if (value.length === 0) continue;
+
+      let predicate = null;
+      if (field === "type" || field === "repo" || field === "actor") {
+        const regex = compilePattern(value);
+        if (!regex) continue;
+        if (field === "type") {
+          predicate = (ev) =>
+            regex.test(ev.type || "") ||
+            regex.test((ev.type || "").replace(/Event$/, ""));
+        } else if (field === "repo") {
+          predicate = (ev) => regex.test(ev.repo?.name || "");
+        } else {
+          predicate = (ev) =>
+            regex.test(ev.actor?.login || "") ||
+            regex.test(ev.actor?.display_login || "");
+        }
+      } else if (field === "after" || field === "before") {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) continue;
+        predicate =
+          field === "after"
+            ? (ev) => new Date(ev.created_at) >= date
+            : (ev) => new Date(ev.created_at) < date;
+      } else {
+        const keyword = value.toLowerCase();
+        predicate = (ev) => getEventSearchText(ev).includes(keyword);
+      }
+      predicates.push(negated ? (ev) => !predicate(ev) : predicate);
+    }
+    return predicates;
+  }
+
+  /**
+   * Cleans up stored saved views, keeping the default view first.
+   * @param {*} value - Raw value from storage
+   * @returns {Array<{name: string, query: string}>}
+   */
+  function normalizeSavedViews(value) {
+    const views = [DEFAULT_VIEW];
+    if (!Array.isArray(value)) return views;
+    for (const view of value) {
+      if (!view || typeof view.name !== "string") continue;
+      const name = view.name.trim();
+      if (name.length === 0 || views.some((v) => v.name === name)) continue;
+      views.push({
+        name,
+        query: typeof view.query === "string" ? view.query : "",
+      });
+    }
+    return views;
+  }
+
+  /**
+   * Persists the saved views and the active view name.
+   */
+  async function persistSavedViews() {
+    try {
+      await GM.setValue(
+        SAVED_VIEWS_KEY,
+        savedViews.filter((view) => view !== DEFAULT_VIEW)
+      );
+      await GM.setValue(ACTIVE_VIEW_KEY, activeViewName);
+    } catch (e) {
+      console.error("Failed to persist saved views:", e);
+    }
+    await markSettingsChanged();
+  }
+
+  /**
+   * Renders the saved view tabs, plus buttons to save the current query as a
+   * view and to delete the active view.
+   * @param {Element} tabsBar - Container to render into
+   * @param {(view: {name: string, query: string}) => void} onSelect - Called when a tab is chosen
+   */
+  function renderViewTabs(tabsBar, onSelect) {
+    tabsBar.innerHTML = "";
+    for (const view of savedViews) {
+      const active = view.name === activeViewName;
+      const tab = document.createElement("button");
+      tab.type = "button";
+      tab.className = `btn btn-sm${active ? " btn-primary" : ""}`;
+      tab.setAttribute("aria-pressed", String(active));
+      tab.textContent = view.name;
+      tab.title = view.query || "All events";
+      tab.onclick = () => onSelect(view);
+      tabsBar.appendChild(tab);
+    }
+
+    const saveBtn = document.createElement("button");
+    saveBtn.type = "button";
+    saveBtn.className = "btn btn-sm btn-invisible";
+    saveBtn.textContent = "+ Save view";
+    saveBtn.title = "Save the current filter as a view";
+    saveBtn.onclick = async () => {
+      const name = window.prompt(
+        `Save "${feedQuery}" as view (an existing name is overwritten)`,
+        activeViewName === DEFAULT_VIEW.name ? "" : activeViewName
+      );
+      if (name === null || name.trim().length === 0) return;
+      if (name.trim() === DEFAULT_VIEW.name) {
+        console.warn(`The "${DEFAULT_VIEW.name}" view cannot be changed`);
+        return;
+      }
+      const view = { name: name.trim(), query: feedQuery };
+      const index = savedViews.findIndex((v) => v.name === view.name);
+      if (index >= 0) {
+        savedViews[index] = view;
+      } else {
+        savedViews.push(view);
+      }
+      activeViewName = view.name;
+      await persistSavedViews();
+      renderViewTabs(tabsBar, onSelect);
+    };
+    tabsBar.appendChild(saveBtn);
+
+    if (activeViewName !== DEFAULT_VIEW.name) {
+      const deleteBtn = document.createElement("button");
+      deleteBtn.type = "button";
+      deleteBtn.className = "btn btn-sm btn-invisible color-fg-danger";
+      deleteBtn.textContent = "Delete view";
+      deleteBtn.onclick = async () => {
+        if (!window.confirm(`Delete view "${activeViewName}"?`)) return;
+        savedViews = savedViews.filter((v) => v.name !== activeViewName);
+        onSelect(DEFAULT_VIEW);
+      };
+      tabsBar.appendChild(deleteBtn);
+    }
+  }
+
+  /**
+   * Returns the loaded events that match the search box query.
+   * @returns {Array}
+   */
+  function getVisibleEvents() {
+    if (feedQueryFilters.length === 0) return eventsList;
+    return eventsList.filter(matchesFeedQuery);
+  }
+
+  /**
+   * Groups the visible events into feed items, one per card. Bursts of
+   * same-type events on one repo, or from one actor, within
+   * AGGREGATE_WINDOW_MS of the newest one become a single item, and so do
+   * all comments and reviews on one issue or pull request.
+   * @returns {Array<{events: Array, mode: "repo"|"actor"|"thread"|null}>}
+   */
+  function getFeedItems() {
+    const items = [];
+    // Groups the next (older) events may still join
+    let openGroups = [];
+    const threads = new Map();
+    for (const event of getVisibleEvents()) {
+      const threadKey = threadEventsEnabled ? getThreadKey(event) : null;
+      if (threadKey) {
+        const thread = threads.get(threadKey);
+        if (thread) {
+          thread.events.push(event);
+        } else {
+          const item = { events: [event], mode: "thread" };
+          threads.set(threadKey, item);
+          items.push(item);
+        }
+        continue;
+      }
+
+      const groupable =
+        aggregateEventsEnabled && !!AGGREGATE_VERBS[event?.type];
+      const time = Date.parse(event?.created_at);
+      if (groupable) {
+        openGroups = openGroups.filter(
+          (item) => item.newestTime - time <= AGGREGATE_WINDOW_MS
+        );
+        if (openGroups.some((item) => joinFeedItem(item, event))) continue;
+      }
+
+      const item = { events: [event], mode: null, newestTime: time };
+      items.push(item);
+      if (groupable) openGroups.push(item);
+    }
+    return items;
+  }
+
+  /**
+   * Returns the key of the issue or pull request a comment or review event
+   * belongs to, e.g. "org/repo#12".
+   * @param {object} event - GitHub event object
+   * @returns {string|null} Null for events that are not part of a thread
+   */
+  function getThreadKey(event) {
+    if (!THREAD_EVENT_TYPES.has(event?.type) || !event.repo?.name) return null;
+    const number =
+      event.payload?.issue?.number ?? event.payload?.pull_request?.number;
+    return number === undefined ? null : `${event.repo.name}#${number}`;
+  }
+
+  /**
+   * Adds an event to a feed item if it has the same type and repo, or the
+   * same type and actor, fixing the item's grouping mode on the first join.
+   * @param {{events: Array, mode: "repo"|"actor"|null}} item
+   * @param {object} event - GitHub event object
+   * @returns {boolean} Whether the event was added
+   */
+  function joinFeedItem(item, event) {
+    const first = item.events[0];
+    if (first.type !== event.type) return false;
+    const sameRepo = !!event.repo?.name && first.repo?.name === event.repo.name;
+    const sameActor =
+      !!event.actor?.login && first.actor?.login === event.actor.login;
+    if (sameRepo && item.mode !== "actor") {
+      item.mode = "repo";
+    } else if (sameActor && item.mode !== "repo") {
+      item.mode = "actor";
+    } else {
+      return false;
+    }
+    item.events.push(event);
+    return true;
+  }
+
+  /**
+   * Determines whether a rendered card still shows the given feed item.
+   * @param {Element} card
+   * @param {{events: Array}} item
+   * @returns {boolean}
+   */
+  function cardMatchesFeedItem(card, item) {
+    return (
+      !!card &&
+      !!item &&
+      card.dataset.eventId === String(item.events[0].id) &&
+      Number(card.dataset.eventCount || 1) === item.events.length
+    );
+  }
+
+  /**
+   * Renders the card of a feed item.
+   * @param {{events: Array, mode: "repo"|"actor"|null}} item
+   * @returns {Promise<HTMLElement>}
+   */
+  async function renderFeedItem(item) {
+    let card;
+    if (item.events.length === 1) {
+      card = await renderEventCard(item.events[0]);
+    } else if (item.mode === "thread") {
+      card = await renderThreadCard(item);
+    } else {
+      card = await renderAggregateCard(item);
+    }
+    observePullRequestCard(card, item);
+    return card;
+  }
+
+  /**
+   * Determines whether an event matches the search box query.
+   * @param {object} event - GitHub event object
+   * @returns {boolean}
+   */
+  function matchesFeedQuery(event) {
+    return feedQueryFilters.every((predicate) => predicate(event));
+  }
+
+  /**
+   * Renders body or short_description_html, always sanitized.
+   * @param {string} body - Markdown content
+   * @param {string|null} html - HTML content
+   * @returns {string}
+   */
+  function renderBodyOrShortHtml(body, html) {
+    if (!renderBodyEnabled) return "";
+    let htmlContent = `<div style="max-width:340px;margin-left:35px;overflow-wrap:break-word;">${
+      html
+        ? `<div class="event-body-html">${DOMPurify.sanitize(html)}</div>`
+        : body && md
+        ? `<div class="event-body-md">${DOMPurify.sanitize(
+            md.render(body)
+          )}</div>`
+        : ""
+    }</div>`;
+    return htmlContent;
+  }
+
+  /**
+   * Creates the empty, styled card element for an event (or the newest
+   * event of a group), marked with its id and unseen state.
+   * @param {object} event - GitHub event object
+   * @returns {HTMLElement}
+   */
+  function createCardElement(event) {
+    const card = document.createElement("div");
+    card.className =
+      "dashboard-events color-bg-default border color-border-default p-3 rounded-2";
+    if (event?.id !== undefined) card.dataset.eventId = String(event.id);
+    if (isUnseenEvent(event)) {
+      card.classList.add("gh-dashboard-feed-unseen");
+      card.style.boxShadow =
+        "inset 3px 0 0 var(--color-accent-emphasis, #0969da)";
+    }
+    if (!useSidebarEnabled) {
+      card.className += " feed-item-content width-full height-fit";
+    } else {
+      card.style.flex = "1 1 320px";
+      card.style.minWidth = "260px";
+      card.style.maxWidth = "420px";
+    }
+
+    card.style.margin = "0 8px 8px 0";
+    card.style.boxSizing = "border-box";
+    card.style.display = "flex";
+    card.style.flexDirection = "column";
+    card.style.justifyContent = "space-between";
+    card.style.height = "auto";
+    card.style.overflow = "hidden";
+    return card;
+  }
+
+  /**
+   * Joins names like "alice, bob and 8 others".
+   * @param {string[]} names - HTML snippets, one per name
+   * @returns {string}
+   */
+  function formatNameList(names) {
+    if (names.length <= 1) return names[0] || "";
+    if (names.length <= 3) {
+      return `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`;
+    }
+    return `${names.slice(0, 2).join(", ")} and ${names.length - 2} others`;
+  }
+
+  /**
+   * Renders a card summarizing a group of similar events, which expands to
+   * the individual event cards.
+   * @param {{events: Array, mode: "repo"|"actor"}} item
+   * @returns {Promise<HTMLElement>}
+   */
+  async function renderAggregateCard(item) {
+    const { events, mode } = item;
+    const newest = events[0];
+    const card = createCardElement(newest);
+    card.classList.add("gh-dashboard-feed-group");
+    card.dataset.eventCount = String(events.length);
+
+    const actors = [];
+    const repos = [];
+    for (const event of events) {
+      if (
+        event.actor?.login &&
+        !actors.some((a) => a.login === event.actor.login)
+      ) {
+        actors.push(event.actor);
+      }
+      if (event.repo?.name && !repos.includes(event.repo.name)) {
+        repos.push(event.repo.name);
+      }
+    }
+    const actorLinks = actors.map(
+      (actor) =>
+        `<a style="font-weight:bold" href="https://github.com/${encodeURIComponent(
+          actor.login
+        )}" target="_blank" rel="noopener noreferrer">${actor.login}</a>`
+    );
+    const repoLinks = repos.map(
+      (name) =>
+        `<a style="font-weight:bold" href="https://github.com/${name}" target="_blank" rel="noopener noreferrer">${name}</a>`
+    );
+    const avatars = actors
+      .filter((actor) => actor.avatar_url)
+      .slice(0, mode === "repo" ? 5 : 1)
+      .map(
+        (actor) =>
+          `<img src="${actor.avatar_url}" alt="avatar" style="width:28px;height:28px;border-radius:50%;margin-right:-7px;vertical-align:middle;border:2px solid var(--color-canvas-default, #fff)">`
+      )
+      .join("");
+    const verb = AGGREGATE_VERBS[newest.type] || "acted on";
+    const content =
+      mode === "repo"
+        ? `${formatNameList(actorLinks)} ${verb} ${repoLinks[0]}`
+        : `${actorLinks[0]} ${verb} ${formatNameList(repoLinks)}`;
+
+    try {
+      card.innerHTML = DOMPurify.sanitize(
+        `<div><span style="margin-right:14px">${avatars}</span>${content}</div>
+        <div style="margin-top:7px;color:gray;font-size:85%">${timeAgo(
+          newest.created_at
+        )}${renderSourceBadge(newest)}</div>`
+      );
+    } catch (e) {
+      card.innerHTML = "<div style='color:red'>[Error rendering card]</div>";
+      console.error("Card innerHTML error:", e);
+    }
+
+    // The individual cards are only rendered once the group is expanded
+    const details = document.createElement("details");
+    details.className = "gh-dashboard-feed-group-details";
+    details.style.marginTop = "7px";
+    const summary = document.createElement("summary");
+    summary.className = "color-fg-muted";
+    summary.style.cursor = "pointer";
+    summary.style.fontSize = "12px";
+    summary.textContent = `Show all ${events.length} events`;
+    details.appendChild(summary);
+    details.addEventListener("toggle", async () => {
+      summary.textContent = details.open
+        ? "Hide events"
+        : `Show all ${events.length} events`;
+      if (!details.open || details.childElementCount > 1) return;
+      const fragment = document.createDocumentFragment();
+      for (const event of events) {
+        try {
+          const eventCard = await renderEventCard(event);
+          eventCard.style.margin = "8px 0 0 0";
+          eventCard.style.maxWidth = "none";
+          fragment.appendChild(eventCard);
+        } catch (e) {
+          console.error("Error rendering grouped event card:", e, event);
+        }
+      }
+      details.appendChild(fragment);
+    });
+    card.appendChild(details);
+    return card;
+  }
+
+  /**
+   * Renders one comment or review of a thread card.
+   * @param {object} event - IssueCommentEvent, PullRequestReviewEvent or PullRequestReviewCommentEvent
+   * @returns {HTMLElement}
+   */
+  function renderThreadComment(event) {
+    const { actor, payload, created_at } = event;
+    let verb = "commented";
+    let url = payload?.comment?.html_url;
+    let body = payload?.comment?.body;
+    if (event.type === "PullRequestReviewEvent") {
+      const state = payload?.review?.state;
+      verb =
+        state === "approved"
+          ? "approved"
+          : state === "changes_requested"
+          ? "requested changes"
+          : "reviewed";
+      url = payload?.review?.html_url;
+      body = payload?.review?.body;
+    } else if (event.type === "PullRequestReviewCommentEvent") {
+      verb = "commented on the diff";
+    }
+
+    const comment = document.createElement("div");
+    comment.className = "gh-dashboard-feed-thread-comment";
+    comment.style.marginTop = "7px";
+    comment.innerHTML = DOMPurify.sanitize(
+      `<div>${
+        actor?.avatar_url
+          ? `<img src="${actor.avatar_url}" alt="avatar" style="width:20px;height:20px;border-radius:50%;margin-right:7px;vertical-align:middle;">`
+          : ""
+      }<a style="font-weight:bold" href="https://github.com/${encodeURIComponent(
+        actor?.login || ""
+      )}" target="_blank" rel="noopener noreferrer">${
+        actor?.login || ""
+      }</a> <a class="color-fg-muted" href="${
+        url || "#"
+      }" target="_blank" rel="noopener noreferrer">${verb} ${timeAgo(
+        created_at
+      )}</a></div>${renderBodyOrShortHtml(body, null)}`
+    );
+    return comment;
+  }
+
+  /**
+   * Renders a card for the comments and reviews on one issue or pull
+   * request: its title, the participants and the latest comments, with the
+   * earlier ones collapsed.
+   * @param {{events: Array}} item - Thread item, newest event first
+   * @returns {Promise<HTMLElement>}
+   */
+  async function renderThreadCard(item) {
+    const { events } = item;
+    const newest = events[0];
+    const card = createCardElement(newest);
+    card.classList.add("gh-dashboard-feed-thread");
+    card.dataset.eventCount = String(events.length);
+
+    const subject =
+      events.map((event) => event.payload?.issue).find(Boolean) ||
+      events.map((event) => event.payload?.pull_request).find(Boolean) ||
+      {};
+    const isPull =
+      !!subject.pull_request ||
+      newest.type !== "IssueCommentEvent" ||
+      /\/pull\//.test(subject.html_url || "");
+    const number =
+      newest.payload?.issue?.number ?? newest.payload?.pull_request?.number;
+    const repoName = newest.repo?.name || "";
+    const subjectUrl =
+      subject.html_url ||
+      `https://github.com/${repoName}/${isPull ? "pull" : "issues"}/${number}`;
+
+    const participants = [];
+    for (const event of events) {
+      if (
+        event.actor?.login &&
+        !participants.some((actor) => actor.login === event.actor.login)
+      ) {
+        participants.push(event.actor);
+      }
+    }
+    const avatars = participants
+      .filter((actor) => actor.avatar_url)
+      .slice(0, 5)
+      .map(
+        (actor) =>
+          `<img src="${actor.avatar_url}" alt="${actor.login}" title="${actor.login}" style="width:20px;height:20px;border-radius:50%;margin-right:-5px;vertical-align:middle;border:2px solid var(--color-canvas-default, #fff)">`
+      )
+      .join("");
+
+    try {
+      card.innerHTML = DOMPurify.sanitize(
+        `<div><a style="font-weight:bold" href="https://github.com/${repoName}" target="_blank" rel="noopener noreferrer">${repoName}</a>
+        <a href="${subjectUrl}" target="_blank" rel="noopener noreferrer">${
+          isPull ? "pull request" : "issue"
+        } #${number}</a></div>
+        <div style="font-weight:600;margin-top:4px">${DOMPurify.sanitize(
+          subject.title || ""
+        )}</div>
+        <div class="color-fg-muted" style="margin-top:4px;font-size:12px"><span style="margin-right:10px">${avatars}</span>${
+          participants.length
+        } participant${participants.length === 1 ? "" : "s"}, ${
+          events.length
+        } comments and reviews${renderSourceBadge(newest)}</div>`
+      );
+    } catch (e) {
+      card.innerHTML = "<div style='color:red'>[Error rendering card]</div>";
+      console.error("Card innerHTML error:", e);
+    }
+
+    // Earlier comments are only rendered once expanded
+    const earlier = events.slice(THREAD_VISIBLE_COMMENTS).reverse();
+    if (earlier.length > 0) {
+      const details = document.createElement("details");
+      details.className = "gh-dashboard-feed-thread-earlier";
+      details.style.marginTop = "7px";
+      const summary = document.createElement("summary");
+      summary.className = "color-fg-muted";
+      summary.style.cursor = "pointer";
+      summary.style.fontSize = "12px";
+      summary.textContent = `Show ${earlier.length} earlier`;
+      details.appendChild(summary);
+      details.addEventListener("toggle", () => {
+        if (!details.open || details.childElementCount > 1) return;
+        for (const event of earlier) {
+          try {
+            details.appendChild(renderThreadComment(event));
+          } catch (e) {
+            console.error("Error rendering thread comment:", e, event);
+          }
+        }
+      });
+      card.appendChild(details);
+    }
+    for (const event of events.slice(0, THREAD_VISIBLE_COMMENTS).reverse()) {
+      try {
+        card.appendChild(renderThreadComment(event));
+      } catch (e) {
+        console.error("Error rendering thread comment:", e, event);
+      }
+    }
+    return card;
+  }
+
+  /**
+   * Renders a notification card: the subject with an unread dot, the reason
+   * badge and a "Mark as read" action.
+   * @param {object} event - See notificationToEvent
+   * @returns {HTMLElement}
+   */
+  function renderNotificationCard(event) {
+    const card = createCardElement(event);
+    card.classList.add("gh-dashboard-feed-notification");
+    const { repo, payload, created_at } = event;
+    const notification = payload?.notification || {};
+    const reason = notification.reason || "subscribed";
+
+    try {
+      card.innerHTML = DOMPurify.sanitize(
+        `<div>${
+          notification.unread
+            ? `<span class="gh-dashboard-feed-unread-dot" title="Unread" style="display:inline-block;width:8px;height:8px;border-radius:50%;background:var(--color-accent-emphasis, #0969da);margin-right:6px;vertical-align:middle"></span>`
+            : ""
+        }<a style="font-weight:bold" href="${
+          notification.html_url || "#"
+        }" target="_blank" rel="noopener noreferrer">${DOMPurify.sanitize(
+          notification.subject?.title || ""
+        )}</a> in <a href="https://github.com/${
+          repo?.name || ""
+        }" target="_blank" rel="noopener noreferrer">${DOMPurify.sanitize(
+          repo?.name || ""
+        )}</a></div>
+        <div style="margin-top:7px;color:gray;font-size:85%">${timeAgo(
+          created_at
+        )} · ${DOMPurify.sanitize(
+          notification.subject?.type || "Notification"
+        )} <span class="Label ${
+          NOTIFICATION_ACTION_REASONS.has(reason)
+            ? "Label--accent"
+            : "Label--secondary"
+        }">${DOMPurify.sanitize(reason.replace(/_/g, " "))}</span></div>`
+      );
+    } catch (e) {
+      card.innerHTML = "<div style='color:red'>[Error rendering card]</div>";
+      console.error("Card innerHTML error:", e);
+    }
+
+    if (notification.unread) {
+      const markBtn = document.createElement("button");
+      markBtn.type = "button";
+      markBtn.className = "btn-link gh-dashboard-feed-mark-read";
+      markBtn.style.alignSelf = "flex-start";
+      markBtn.style.marginTop = "4px";
+      markBtn.style.fontSize = "12px";
+      markBtn.textContent = "Mark as read";
+      markBtn.onclick = async () => {
+        markBtn.disabled = true;
+        try {
+          await markNotificationRead(event);
+          card.querySelector(".gh-dashboard-feed-unread-dot")?.remove();
+          markBtn.remove();
+        } catch (e) {
+          markBtn.disabled = false;
+          console.error("Failed to mark the notification as read:", e);
+        }
+      };
+      card.appendChild(markBtn);
+    }
+    return card;
+  }
+
+  /**
+   * Identifies the pull request of an event whose card shows its live status.
+   * @param {object} event - GitHub event object
+   * @returns {string|null} e.g. "org/repo#12"
+   */
+  function getPullRequestKey(event) {
+    if (!PR_STATUS_EVENT_TYPES.has(event?.type) || !event.repo?.name) {
+      return null;
+    }
+    const number = event.payload?.pull_request?.number;
+    return Number.isInteger(number) ? `${event.repo.name}#${number}` : null;
+  }
+
+  /**
+   * Shows the live status of the card's pull request once the card comes
+   * near the viewport, so only cards the user scrolls to cost requests.
+   * @param {HTMLElement} card
+   * @param {{events: Array}} item - Feed item of the card
+   */
+  function observePullRequestCard(card, item) {
+    const key = item.events.map(getPullRequestKey).find(Boolean);
+    if (!key || typeof IntersectionObserver === "undefined") return;
+    card.dataset.pullRequest = key;
+    if (!prStatusObserver) {
+      prStatusObserver = new IntersectionObserver(
+        (entries) => {
+          for (const entry of entries) {
+            if (!entry.isIntersecting) continue;
+            prStatusObserver.unobserve(entry.target);
+            requestPullRequestStatus(entry.target);
+          }
+        },
+        { rootMargin: "0px 0px 400px 0px" }
+      );
+    }
+    prStatusObserver.observe(card);
+  }
+
+  /**
+   * Stops watching a card that leaves the feed.
+   * @param {HTMLElement} card
+   */
+  function unobservePullRequestCard(card) {
+    if (card.dataset.pullRequest) prStatusObserver?.unobserve(card);
+  }
+
+  /**
+   * Removes all cards of a cards row, so that they can be rendered again.
+   * @param {Element} cardsRow
+   */
+  function clearCardsRow(cardsRow) {
+    for (const card of cardsRow.querySelectorAll(":scope > [data-event-id]")) {
+      unobservePullRequestCard(card);
+    }
+    cardsRow.innerHTML = "";
+  }
+
+  /**
+   * Reads the pull request status cache from storage on first use.
+   * @returns {Promise<Map<string, {fetchedAt: number, status: object|null}>>}
+   */
+  async function readPullRequestStatusCache() {
+    if (prStatusCache) return prStatusCache;
+    let stored = {};
+    try {
+      stored = (await GM.getValue(PR_STATUS_CACHE_KEY, null)) || {};
+    } catch (e) {
+      console.error("Failed to read the pull request status cache:", e);
+    }
+    // Another card may have read it in the meantime
+    if (!prStatusCache) prStatusCache = new Map(Object.entries(stored));
+    return prStatusCache;
+  }
+
+  /**
+   * Persists the pull request statuses that are still fresh.
+   */
+  async function writePullRequestStatusCache() {
+    const fresh = {};
+    for (const [key, entry] of prStatusCache) {
+      if (Date.now() - entry.fetchedAt < PR_STATUS_TTL_MS) {
+        fresh[key] = entry;
+      } else {
+        prStatusCache.delete(key);
+      }
+    }
+    try {
+      await GM.setValue(PR_STATUS_CACHE_KEY, fresh);
+    } catch (e) {
+      console.error("Failed to write the pull request status cache:", e);
+    }
+  }
+
+  /**
+   * Shows the status of a card's pull request, from the cache while it is
+   * fresh or else with the next batch request.
+   * @param {HTMLElement} card - Card with data-pull-request
+   */
+  async function requestPullRequestStatus(card) {
+    const key = card.dataset.pullRequest;
+    const cached = (await readPullRequestStatusCache()).get(key);
+    if (cached && Date.now() - cached.fetchedAt < PR_STATUS_TTL_MS) {
+      renderPullRequestStatus(card, cached.status);
+      return;
+    }
+    if (!prStatusQueue.has(key)) prStatusQueue.set(key, []);
+    prStatusQueue.get(key).push(card);
+    // Cards entering the viewport together share one request
+    if (!prStatusTimer) {
+      prStatusTimer = setTimeout(flushPullRequestStatusQueue, 100);
+    }
+  }
+
+  /**
+   * Fetches the statuses of the queued pull requests with one GraphQL
+   * request per batch, then caches and renders them.
+   */
+  async function flushPullRequestStatusQueue() {
+    prStatusTimer = null;
+    // Queued cards wait for a token, or for the rate limit to reset
+    if (!feedContext) return;
+    if (isRateLimited()) {
+      prStatusTimer = setTimeout(
+        flushPullRequestStatusQueue,
+        rateLimit.resetAt - Date.now()
+      );
+      return;
+    }
+    for (const [key, cards] of prStatusQueue) {
+      // Cards may have been removed from the feed in the meantime
+      const connected = cards.filter((card) => card.isConnected);
+      if (connected.length > 0) {
+        prStatusQueue.set(key, connected);
+      } else {
+        prStatusQueue.delete(key);
+      }
+    }
+    const batch = [...prStatusQueue.keys()].slice(0, PR_STATUS_BATCH_SIZE);
+    const cards = batch.map((key) => prStatusQueue.get(key));
+    for (const key of batch) prStatusQueue.delete(key);
+    if (prStatusQueue.size > 0) {
+      prStatusTimer = setTimeout(flushPullRequestStatusQueue, 100);
+    }
+    if (batch.length === 0) return;
+
+    const variables = {};
+    const fields = batch.map((key, i) => {
+      const [, owner, name, number] = key.match(/^([^/]+)\/(.+)#(\d+)$/);
+      Object.assign(variables, {
+        [`owner${i}`]: owner,
+        [`name${i}`]: name,
+        [`number${i}`]: Number(number),
+      });
+      return `pr${i}: repository(owner: $owner${i}, name: $name${i}) { pullRequest(number: $number${i}) { ...status } }`;
+    });
+    const params = batch.map(
+      (key, i) => `$owner${i}: String!, $name${i}: String!, $number${i}: Int!`
+    );
+    const query = `query(${params.join(", ")}) { ${fields.join(
+      " "
+    )} } fragment status on PullRequest { state isDraft reviewDecision additions deletions labels(first: 10) { nodes { name color } } commits(last: 1) { nodes { commit { statusCheckRollup { state } } } } }`;
+
+    let response = null;
+    try {
+      response = await apiRequest(feedContext.token, "POST", "/graphql", {
+        query,
+        variables,
+      });
+    } catch (e) {
+      console.debug("Failed to load pull request statuses:", e);
+    }
+    // A failed request, or a GraphQL error such as RATE_LIMITED without
+    // data, is not cached; its cards wait for the retry
+    if (!response?.data) {
+      if (response) {
+        console.debug("Failed to load pull request statuses:", response.errors);
+      }
+      batch.forEach((key, i) => {
+        prStatusQueue.set(key, [
+          ...(prStatusQueue.get(key) || []),
+          ...cards[i],
+        ]);
+      });
+      clearTimeout(prStatusTimer);
+      prStatusTimer = setTimeout(
+        flushPullRequestStatusQueue,
+        PR_STATUS_RETRY_DELAY_MS
+      );
+      return;
+    }
+    const cache = await readPullRequestStatusCache();
+    batch.forEach((key, i) => {
+      // Unreadable pull requests come back as null and are cached as such
+      const pull = response.data[`pr${i}`]?.pullRequest;
+      const status = pull
+        ? {
+            // Closed and merged drafts keep their state
+            state:
+              pull.state === "OPEN" && pull.isDraft
+                ? "draft"
+                : pull.state.toLowerCase(),
+            reviewDecision: pull.reviewDecision,
+            additions: pull.additions,
+            deletions: pull.deletions,
+            labels: pull.labels?.nodes || [],
+            checks:
+              pull.commits?.nodes?.[0]?.commit?.statusCheckRollup?.state ||
+              null,
+          }
+        : null;
+      cache.set(key, { fetchedAt: Date.now(), status });
+      for (const card of cards[i]) renderPullRequestStatus(card, status);
+    });
+    await writePullRequestStatusCache();
+  }
+
+  /**
+   * Adds (or replaces) the live pull request status row of a card.
+   * @param {HTMLElement} card
+   * @param {object|null} status - See flushPullRequestStatusQueue
+   */
+  function renderPullRequestStatus(card, status) {
+    card.querySelector(".gh-dashboard-feed-pr-status")?.remove();
+    if (!status) return;
+    const states = {
+      open: ["Open", "Label--success"],
+      draft: ["Draft", "Label--secondary"],
+      merged: ["Merged", "Label--done"],
+      closed: ["Closed", "Label--danger"],
+    };
+    const [stateLabel, stateClass] = states[status.state] || states.open;
+    const reviews = {
+      APPROVED: ["Approved", "color-fg-success"],
+      CHANGES_REQUESTED: ["Changes requested", "color-fg-danger"],
+      REVIEW_REQUIRED: ["Review required", "color-fg-muted"],
+    };
+    const checks = {
+      SUCCESS: ["✓ Checks passed", "color-fg-success"],
+      FAILURE: ["✗ Checks failed", "color-fg-danger"],
+      ERROR: ["✗ Checks failed", "color-fg-danger"],
+      PENDING: ["● Checks running", "color-fg-attention"],
+      EXPECTED: ["● Checks running", "color-fg-attention"],
+    };
+    const parts = [`<span class="Label ${stateClass}">${stateLabel}</span>`];
+    if (reviews[status.reviewDecision]) {
+      const [text, className] = reviews[status.reviewDecision];
+      parts.push(`<span class="${className}">${text}</span>`);
+    }
+    parts.push(
+      `<span class="color-fg-success">+${Number(
+        status.additions
+      )}</span> <span class="color-fg-danger">−${Number(
+        status.deletions
+      )}</span>`
+    );
+    if (checks[status.checks]) {
+      const [text, className] = checks[status.checks];
+      parts.push(`<span class="${className}">${text}</span>`);
+    }
+    for (const label of status.labels) {
+      const color = /^[0-9a-f]{6}$/i.test(label.color) ? label.color : "888888";
+      parts.push(
+        `<span class="Label" style="border-color:#${color}">${DOMPurify.sanitize(
+          label.name || ""
+        )}</span>`
+      );
+    }
+
+    const row = document.createElement("div");
+    row.className = "gh-dashboard-feed-pr-status";
+    row.style.display = "flex";
+    row.style.flexWrap = "wrap";
+    row.style.alignItems = "center";
+    row.style.gap = "4px 8px";
+    row.style.marginTop = "7px";
+    row.style.fontSize = "12px";
+    row.innerHTML = DOMPurify.sanitize(parts.join(""));
+    card.appendChild(row);
+  }
+
+  /**
+   * Renders an event card element.
+   * @param {object} event - GitHub event object
+   * @returns {Promise<HTMLElement>}
+   */
+  async function renderEventCard(event) {
+    if (event?.type === "NotificationEvent")
+      return renderNotificationCard(event);
+    const { type, repo, actor, created_at, payload } = event || {};
+    const card = createCardElement(event);
+
+    // Actor and repo rendering
+    const actorLink =
+      actor && actor.login
+        ? `<a style="font-weight:bold" href="https://github.com/${encodeURIComponent(
+            actor.login
+          )}" target="_blank" rel="noopener noreferrer">${actor.login}</a>`
+        : "";
+    const actorAvatar =
+      actor && actor.avatar_url
+        ? `<img src="${actor.avatar_url}" alt="avatar" style="width:28px;height:28px;border-radius:50%;margin-right:7px;vertical-align:middle;">`
+        : "";
+    const repoLink =
+      repo && repo.name
+        ? `<a style="font-weight:bold" href="https://github.com/${repo.name}" target="_blank" rel="noopener noreferrer">${repo.name}</a>`
+        : "";
+
+    /**
+     * Main content rendering based on event type.
+     */
+    let content = "";
+    try {
+      switch (type) {
+        case "WatchEvent":
+          content = `${actorAvatar}${actorLink} ${
+            payload?.action === "started" ? "starred" : payload?.action || "did"
+          } ${repoLink}`;
+          break;
+
+        case "ForkEvent":
+          content = `${actorAvatar}${actorLink} forked <a href="${
+            payload?.forkee?.html_url || "#"
+          }" target="_blank" rel="noopener noreferrer">${DOMPurify.sanitize(
+            payload?.forkee?.full_name || ""
+          )}</a> from ${repoLink}`;
+          break;
+
+        case "PushEvent":
+          {
+            const commits = payload?.commits || [];
+            content = `${actorAvatar}${actorLink} pushed <a href="https://github.com/${
+              repo?.name || ""
+            }/compare/${payload?.before || ""}...${
+              payload?.head || ""
+            }" target="_blank" rel="noopener noreferrer">${
+              (payload?.size || 0) === 0
+                ? "something"
+                : `${payload?.size} ${
+                    payload?.size === 1 ? "commit" : "commits"
+                  }`
+            }</a> to ${repoLink}`;
+
+            if (commits.length > 0) {
+              let list = [];
+              for (const commit of commits.slice(0, 9)) {
+                const messages = (commit.message || "").split("\n");
                 const message =
                   messages.length === 0
                     ? ""
@@ -693,11 +4083,164 @@
                     ? messages[0]
                     : messages[0] + " ...";
                 list.push(
-                  `- **[${
-                    commit.sha?.substring(0, 7) || "?"
-                  }](https://github.com/${repo?.name || ""}/commit/${
-                    commit.sha
-                  })**: ${message}`
+                  `- **[${
+                    commit.sha?.substring(0, 7) || "?"
+                  }](https://github.com/${repo?.name || ""}/commit/${
+                    commit.sha
+                  })**: ${message}`
+                );
+              }
+              content += renderBodyOrShortHtml(list.join("\n"), null);
+            }
+          }
+          break;
+
+        case "CreateEvent":
+          if (payload?.ref_type === "repository") {
+            content = `${actorAvatar}${actorLink} created repository ${repoLink}`;
+          } else {
+            content = `${actorAvatar}${actorLink} created ${
+              payload?.ref_type || ""
+            } <strong>${DOMPurify.sanitize(
+              payload?.ref || ""
+            )}</strong> in ${repoLink}`;
+          }
+          break;
+
+        case "DeleteEvent":
+          content = `${actorAvatar}${actorLink} deleted ${
+            payload?.ref_type || ""
+          } <strong>${DOMPurify.sanitize(
+            payload?.ref || ""
+          )}</strong> in ${repoLink}`;
+          break;
+
+        case "PublicEvent":
+          content = `${actorAvatar}${actorLink} open sourced ${repoLink}`;
+          break;
+
+        case "IssueCommentEvent":
+          content = `${actorAvatar}${actorLink} commented on 
+                      <a href="${
+                        payload?.comment?.html_url || "#"
+                      }" target="_blank" rel="noopener noreferrer">issue #${
+            payload?.issue?.number || "?"
+          }</a> in ${repoLink}`;
+          content += renderBodyOrShortHtml(payload?.comment?.body, null);
+          if (payload?.comment?.reactions) {
+            const bar = renderReactionsBar(payload.comment.reactions);
+            if (bar) content += bar.outerHTML;
+          }
+          break;
+
+        case "IssuesEvent":
+          content = `${actorAvatar}${actorLink} ${payload?.action || "did"}
+                    <a href="${
+                      payload?.issue?.html_url || "#"
+                    }" target="_blank" rel="noopener noreferrer">issue #${
+            payload?.issue?.number || "?"
+          }</a> in ${repoLink}`;
+          content += renderBodyOrShortHtml(
+            `##### ${payload?.issue?.title || ""}`,
+            null
+          );
+          if (payload?.issue?.reactions) {
+            const bar = renderReactionsBar(payload.issue.reactions);
+            if (bar) content += bar.outerHTML;
+          }
+          break;
+
+        case "PullRequestEvent":
+          content = `${actorAvatar}${actorLink} ${payload?.action || "did"}
+                    <a href="${
+                      payload?.pull_request?.html_url ||
+                      `https://github.com/${repo?.name || ""}/pull/${
+                        payload?.pull_request?.number || ""
+                      }`
+                    }" target="_blank" rel="noopener noreferrer">pull request #${
+            payload?.pull_request?.number || "?"
+          }</a> in ${repoLink}`;
+          content += renderBodyOrShortHtml(
+            `##### ${payload?.pull_request?.title || ""}\n${
+              payload?.pull_request?.body || ""
+            }`,
+            null
+          );
+          if (payload?.pull_request?.reactions) {
+            const bar = renderReactionsBar(payload.pull_request.reactions);
+            if (bar) content += bar.outerHTML;
+          }
+          break;
+
+        case "PullRequestReviewEvent":
+          content = `${actorAvatar}${actorLink} reviewed 
+                    <a href="${
+                      payload?.review?.html_url || "#"
+                    }" target="_blank" rel="noopener noreferrer">pull request #${
+            payload?.pull_request?.number || "?"
+          }</a> in ${repoLink}`;
+          content += renderBodyOrShortHtml(
+            `##### ${payload?.pull_request?.title || ""}\n${
+              payload?.review?.body || ""
+            }`,
+            null
+          );
+          if (payload?.review?.reactions) {
+            const bar = renderReactionsBar(payload.review.reactions);
+            if (bar) content += bar.outerHTML;
+          }
+          break;
+
+        case "PullRequestReviewCommentEvent":
+          content = `${actorAvatar}${actorLink} commented on 
+                    <a href="${
+                      payload?.comment?.html_url || "#"
+                    }" target="_blank" rel="noopener noreferrer">pull request #${
+            payload?.pull_request?.number || "?"
+          }</a> in ${repoLink}`;
+          content += renderBodyOrShortHtml(
+            `##### ${payload?.pull_request?.title || ""}\n${
+              payload?.comment?.body || ""
+            }`,
+            null
+          );
+          if (payload?.comment?.reactions) {
+            const bar = renderReactionsBar(payload.comment.reactions);
+            if (bar) content += bar.outerHTML;
+          }
+          break;
+
+        case "CommitCommentEvent":
+          content = `${actorAvatar}${actorLink} commented on 
+                    <a href="${
+                      payload?.comment?.html_url || "#"
+                    }" target="_blank" rel="noopener noreferrer">commit ${
+            payload?.comment?.commit_id?.substring(0, 7) || "???"
+          }</a> in ${repoLink}`;
+          content += renderBodyOrShortHtml(payload?.comment?.body, null);
+          if (payload?.comment?.reactions) {
+            const bar = renderReactionsBar(payload.comment.reactions);
+            if (bar) content += bar.outerHTML;
+          }
+          break;
+
+        case "MemberEvent":
+          content = `${actorAvatar}${actorLink} added <a href="https://github.com/${encodeURIComponent(
+            payload?.member?.login || ""
+          )}" target="_blank" rel="noopener noreferrer">${DOMPurify.sanitize(
+            payload?.member?.login || ""
+          )}</a> to ${repoLink}`;
+          break;
+
+        case "GollumEvent":
+          content = `${actorAvatar}${actorLink} edited wiki in ${repoLink}`;
+          {
+            const pages = payload?.pages || [];
+            if (pages.length > 0) {
+              let list = [];
+              for (const page of pages.slice(0, 9)) {
+                list.push(
+                  `- ${page.action} [${page.page_name}](${page.html_url})`
                 );
               }
               content += renderBodyOrShortHtml(list.join("\n"), null);
@@ -705,397 +4248,1107 @@
           }
           break;
 
-        case "CreateEvent":
-          if (payload?.ref_type === "repository") {
-            content = `${actorAvatar}${actorLink} created repository ${repoLink}`;
-          } else {
-            content = `${actorAvatar}${actorLink} created ${
-              payload?.ref_type || ""
-            } <strong>${DOMPurify.sanitize(
-              payload?.ref || ""
-            )}</strong> in ${repoLink}`;
+        case "ReleaseEvent":
+          content = `${actorAvatar}${actorLink} ${payload?.action || "did"} 
+                  <a href="${
+                    payload?.release?.html_url || "#"
+                  }" target="_blank" rel="noopener noreferrer">release ${DOMPurify.sanitize(
+            payload?.release?.name || payload?.release?.tag_name || ""
+          )}</a> in ${repoLink}`;
+          if (payload?.release?.draft) {
+            content += ` <span class="Label Label--secondary">Draft</span>`;
+          }
+          if (payload?.release?.prerelease) {
+            content += ` <span class="Label Label--attention">Prerelease</span>`;
+          }
+          content += renderBodyOrShortHtml(payload?.release?.body, null);
+          if (payload?.release?.reactions) {
+            const bar = renderReactionsBar(payload.release.reactions);
+            if (bar) content += bar.outerHTML;
           }
           break;
 
-        case "DeleteEvent":
-          content = `${actorAvatar}${actorLink} deleted ${
-            payload?.ref_type || ""
-          } <strong>${DOMPurify.sanitize(
-            payload?.ref || ""
-          )}</strong> in ${repoLink}`;
-          break;
+        case "SponsorshipEvent":
+          content = `${actorAvatar}${actorLink} sponsored or received a sponsorship.`;
+          break;
+
+        default:
+          content = `${actorAvatar}${actorLink} did <code>${DOMPurify.sanitize(
+            type || ""
+          )}</code> in ${repoLink}`;
+      }
+    } catch (e) {
+      content =
+        actorAvatar +
+        actorLink +
+        " [Render error] " +
+        (repoLink || "") +
+        " " +
+        DOMPurify.sanitize(type || "");
+      console.error("Error rendering card for event:", e, event);
+    }
+
+    // Date formatting
+    const date = timeAgo(created_at);
+
+    // Card rendering
+    try {
+      card.innerHTML = DOMPurify.sanitize(
+        `<div>${content}</div>
+        <div style="margin-top:7px;color:gray;font-size:85%">${date}${renderSourceBadge(
+          event
+        )}</div>`
+      );
+    } catch (e) {
+      card.innerHTML = "<div style='color:red'>[Error rendering card]</div>";
+      console.error("Card innerHTML error:", e);
+    }
+    return card;
+  }
+
+  /**
+   * Renders an in-feed card explaining why loading failed, with a Retry
+   * action that re-runs initialLoad (and a token shortcut for auth errors).
+   * @param {Error} error - Error of kind "auth", "rate_limited", "network" or "unexpected"
+   * @returns {HTMLElement}
+   */
+  function renderErrorCard(error) {
+    const card = document.createElement("div");
+    card.className = `gh-dashboard-feed-empty gh-dashboard-feed-error flash ${
+      error.kind === "rate_limited" ? "flash-warn" : "flash-error"
+    }`;
+    card.setAttribute("role", "alert");
+    card.style.width = "100%";
+    card.style.margin = "0 8px 8px 0";
+
+    let title;
+    let detail;
+    switch (error.kind) {
+      case "auth":
+        title = "Your GitHub token is invalid or expired.";
+        detail =
+          "Configure a new personal access token to see your received events.";
+        break;
+      case "rate_limited":
+        title = "GitHub API rate limit reached.";
+        detail = error.resetAt
+          ? `Loading can resume at ${new Date(
+              error.resetAt
+            ).toLocaleTimeString()}.`
+          : "Please wait a few minutes before retrying.";
+        break;
+      case "network":
+        title = "Could not reach GitHub.";
+        detail = "Check your network connection and try again.";
+        break;
+      default:
+        title = "GitHub returned an unexpected response.";
+        detail = error.message || String(error);
+        if (dashboardOrg && (error.status === 403 || error.status === 404)) {
+          detail += `. Seeing the ${dashboardOrg} dashboard needs a token with read access to the organization.`;
+        }
+    }
+    const titleEl = document.createElement("strong");
+    titleEl.textContent = title;
+    const detailEl = document.createElement("div");
+    detailEl.textContent = detail;
+    detailEl.style.margin = "4px 0 8px 0";
+    card.append(titleEl, detailEl);
+
+    const actions = document.createElement("div");
+    actions.style.display = "flex";
+    actions.style.gap = "8px";
+    if (error.kind === "auth") {
+      const configureBtn = document.createElement("button");
+      configureBtn.type = "button";
+      configureBtn.className = "btn btn-sm btn-primary";
+      configureBtn.textContent = "Configure token";
+      configureBtn.onclick = () => openSettingsDialog("token");
+      actions.appendChild(configureBtn);
+    }
+    const retryBtn = document.createElement("button");
+    retryBtn.type = "button";
+    retryBtn.className = "btn btn-sm";
+    retryBtn.textContent = "Retry";
+    retryBtn.onclick = reloadFeed;
+    actions.appendChild(retryBtn);
+    card.appendChild(actions);
+    return card;
+  }
+
+  /**
+   * Renders the events feed section, appending new events.
+   * @param {boolean} append - Whether to append to existing events
+   * @param {string} username
+   * @param {string} token
+   * @param {Element} parent
+   */
+  async function renderFeed(append = false, username, token, parent) {
+    let cardsSection;
+    if (containerRef && append) {
+      cardsSection = containerRef;
+    } else {
+      cardsSection = document.createElement("div");
+      cardsSection.style.display = "flex";
+      cardsSection.style.flexDirection = "column";
+      cardsSection.style.margin = "0 0 19px 0";
+      cardsSection.style.gap = "0 2px";
+      cardsSection.style.minHeight = "420px";
+      cardsSection.id = FEED_SECTION_ID;
+      containerRef = cardsSection;
+    }
+
+    // Header
+    let header = cardsSection.querySelector(".gh-dashboard-feed-header");
+    if (!header) {
+      header = document.createElement("div");
+      header.className = "gh-dashboard-feed-header";
+      header.style.display = "flex";
+      header.style.justifyContent = "flex-start";
+      header.style.alignItems = "baseline";
+      header.style.flexWrap = "wrap";
+      header.innerHTML = `<h3 style="font-size:18px;font-weight:600;margin:0 5px 16px 0">${
+        releaseRadarEnabled
+          ? "Your Release Radar"
+          : dashboardOrg
+          ? "Your Organization Events"
+          : "Your Received Events"
+      }</h3>`;
+      header.appendChild(createDashboardSelect(username, token));
+
+      const queryInput = document.createElement("input");
+      queryInput.type = "search";
+      queryInput.className = "form-control input-sm gh-dashboard-feed-query";
+      queryInput.placeholder =
+        'Filter: type:push repo:org/* -actor:*[bot] "keyword" after:2026-10-01';
+      queryInput.setAttribute("aria-label", "Filter events");
+      queryInput.value = feedQuery;
+      queryInput.style.flex = "1 1 auto";
+      queryInput.style.minWidth = "0";
+      queryInput.style.margin = "0 0 16px 8px";
+
+      /**
+       * Re-renders all cards against the current query.
+       */
+      const refreshCards = () => {
+        const row = cardsSection.querySelector(".gh-dashboard-feed-row");
+        if (row) clearCardsRow(row);
+        renderFeed(true, username, token, parent);
+      };
+      const cacheMarker = document.createElement("span");
+      cacheMarker.className = "gh-dashboard-feed-cache-marker color-fg-muted";
+      cacheMarker.hidden = true;
+      cacheMarker.style.fontSize = "12px";
+      cacheMarker.style.margin = "0 0 16px 0";
+      cacheMarker.style.whiteSpace = "nowrap";
+      header.appendChild(cacheMarker);
+
+      const rateLimitIndicator = document.createElement("span");
+      rateLimitIndicator.className =
+        "gh-dashboard-feed-rate-limit color-fg-muted";
+      rateLimitIndicator.style.fontSize = "12px";
+      rateLimitIndicator.style.margin = "0 0 16px 8px";
+      rateLimitIndicator.style.whiteSpace = "nowrap";
+
+      queryInput.oninput = () => {
+        clearTimeout(feedQueryTimer);
+        feedQueryTimer = setTimeout(() => {
+          feedQuery = queryInput.value;
+          feedQueryFilters = compileFeedQuery(feedQuery);
+          refreshCards();
+        }, 200);
+      };
+      header.appendChild(queryInput);
+      header.appendChild(rateLimitIndicator);
+
+      const settingsBtn = document.createElement("button");
+      settingsBtn.type = "button";
+      settingsBtn.className = "btn-octicon gh-dashboard-feed-settings-btn";
+      settingsBtn.setAttribute("aria-label", "Feed settings");
+      settingsBtn.title = "Feed settings";
+      settingsBtn.style.margin = "0 0 16px 4px";
+      settingsBtn.innerHTML = `<svg aria-hidden="true" height="16" viewBox="0 0 16 16" width="16" fill="currentColor"><path d="M8 0a8.2 8.2 0 0 1 .701.031C9.444.095 9.99.645 10.16 1.29l.288 1.107c.018.066.079.158.212.224.231.114.454.243.668.386.123.082.233.09.299.071l1.103-.303c.644-.176 1.392.021 1.82.63.27.385.506.792.704 1.218.315.675.111 1.422-.364 1.891l-.814.806c-.049.048-.098.147-.088.294.016.257.016.515 0 .772-.01.147.038.246.088.294l.814.806c.475.469.679 1.216.364 1.891a7.977 7.977 0 0 1-.704 1.217c-.428.61-1.176.807-1.82.63l-1.102-.302c-.067-.019-.177-.011-.3.071a5.909 5.909 0 0 1-.668.386c-.133.066-.194.158-.211.224l-.29 1.106c-.168.646-.715 1.196-1.458 1.26a8.006 8.006 0 0 1-1.402 0c-.743-.064-1.289-.614-1.458-1.26l-.289-1.106c-.018-.066-.079-.158-.212-.224a5.738 5.738 0 0 1-.668-.386c-.123-.082-.233-.09-.299-.071l-1.103.303c-.644.176-1.392-.021-1.82-.63a8.12 8.12 0 0 1-.704-1.218c-.315-.675-.111-1.422.363-1.891l.815-.806c.05-.048.098-.147.088-.294a6.214 6.214 0 0 1 0-.772c.01-.147-.038-.246-.088-.294l-.815-.806C.635 6.045.431 5.298.746 4.623a7.92 7.92 0 0 1 .704-1.217c.428-.61 1.176-.807 1.82-.63l1.102.302c.067.019.177.011.3-.071.214-.143.437-.272.668-.386.133-.066.194-.158.211-.224l.29-1.106C6.009.645 6.556.095 7.299.03 7.53.01 7.764 0 8 0Zm-.571 1.525c-.036.003-.108.036-.137.146l-.289 1.105c-.147.561-.549.967-.998 1.189-.173.086-.34.183-.5.29-.417.278-.97.423-1.529.27l-1.103-.303c-.109-.03-.175.016-.195.045-.22.312-.412.644-.573.99-.014.031-.021.11.059.19l.815.806c.411.406.562.957.53 1.456a4.709 4.709 0 0 0 0 .582c.032.499-.119 1.05-.53 1.456l-.815.806c-.081.08-.073.159-.059.19.162.346.353.677.573.989.02.03.085.076.195.046l1.102-.303c.56-.153 1.113-.008 1.53.27.161.107.328.204.501.29.447.222.85.629.997 1.189l.289 1.105c.029.109.101.143.137.146a6.6 6.6 0 0 0 1.142 0c.036-.003.108-.036.137-.146l.289-1.105c.147-.561.549-.967.998-1.189.173-.086.34-.183.5-.29.417-.278.97-.423 1.529-.27l1.103.303c.109.029.175-.016.195-.045.22-.313.411-.644.573-.99.014-.031.021-.11-.059-.19l-.815-.806c-.411-.406-.562-.957-.53-1.456a4.709 4.709 0 0 0 0-.582c-.032-.499.119-1.05.53-1.456l.815-.806c.081-.08.073-.159.059-.19a6.464 6.464 0 0 0-.573-.989c-.02-.03-.085-.076-.195-.046l-1.102.303c-.56.153-1.113.008-1.53-.27a4.44 4.44 0 0 0-.501-.29c-.447-.222-.85-.629-.997-1.189l-.289-1.105c-.029-.11-.101-.143-.137-.146a6.6 6.6 0 0 0-1.142 0ZM11 8a3 3 0 1 1-6 0 3 3 0 0 1 6 0ZM9.5 8a1.5 1.5 0 1 0-3.001.001A1.5 1.5 0 0 0 9.5 8Z"></path></svg>`;
+      settingsBtn.onclick = () => openSettingsDialog();
+      header.appendChild(settingsBtn);
+
+      const tabsBar = document.createElement("div");
+      tabsBar.className = "gh-dashboard-feed-tabs";
+      tabsBar.setAttribute("role", "toolbar");
+      tabsBar.setAttribute("aria-label", "Saved views");
+      tabsBar.style.display = "flex";
+      tabsBar.style.flexWrap = "wrap";
+      tabsBar.style.gap = "4px";
+      tabsBar.style.flexBasis = "100%";
+      tabsBar.style.margin = "0 0 12px 0";
+
+      /**
+       * Switches to a saved view, re-filtering the loaded events.
+       * @param {{name: string, query: string}} view
+       */
+      const selectView = (view) => {
+        activeViewName = view.name;
+        feedQuery = view.query;
+        feedQueryFilters = compileFeedQuery(feedQuery);
+        queryInput.value = feedQuery;
+        renderViewTabs(tabsBar, selectView);
+        refreshCards();
+        persistSavedViews();
+      };
+      renderViewTabs(tabsBar, selectView);
+      header.appendChild(tabsBar);
+      cardsSection.append(header);
+    }
+
+    // Cards row
+    let cardsRow = cardsSection.querySelector(".gh-dashboard-feed-row");
+    if (!cardsRow) {
+      cardsRow = document.createElement("div");
+      cardsRow.className = "gh-dashboard-feed-row";
+      cardsRow.style.display = "flex";
+      cardsRow.style.flexWrap = "wrap";
+      cardsRow.style.gap = "0 2px";
+      cardsRow.style.width = "100%";
+      cardsRow.style.boxSizing = "border-box";
+      cardsRow.style.minHeight = "330px";
+      cardsSection.append(cardsRow);
+    }
+
+    // If not appending, clear all event cards
+    if (!append) {
+      clearCardsRow(cardsRow);
+    }
+
+    // Insert section into parent
+    if (!append) {
+      insertEventsSectionSibling(cardsSection, parent, FEED_SECTION_ID);
+    } else if (!parent.contains(cardsSection)) {
+      try {
+        parent.insertBefore(cardsSection, parent.firstChild);
+      } catch (e) {
+        console.error("parent element append error:", e);
+      }
+    }
+
+    // Render event cards
+    const feedItems = getFeedItems();
+    cardsRow.querySelector(".gh-dashboard-feed-empty")?.remove();
+    if (feedItems.length === 0 && !loading && loadError) {
+      clearCardsRow(cardsRow);
+      cardsRow.appendChild(renderErrorCard(loadError));
+    } else if (feedItems.length === 0 && !loading) {
+      clearCardsRow(cardsRow);
+      cardsRow.innerHTML = `<div class="gh-dashboard-feed-empty" style="color:#888;padding:12px">${
+        eventsList.length === 0 ? "No events" : "No events match the filter"
+      }</div>`;
+    } else {
+      // Only render new cards if appending; groups that older events have
+      // joined are rebuilt in place, and everything from the first card that
+      // no longer lines up with its item
+      const fragment = document.createDocumentFragment();
+      const renderedCards = cardsRow.querySelectorAll(
+        ":scope > [data-event-id]"
+      );
+      let start = 0;
+      for (; start < renderedCards.length; ++start) {
+        const card = renderedCards[start];
+        const item = feedItems[start];
+        if (cardMatchesFeedItem(card, item)) continue;
+        if (!item || card.dataset.eventId !== String(item.events[0].id)) break;
+        try {
+          card.replaceWith(await renderFeedItem(item));
+          unobservePullRequestCard(card);
+        } catch (e) {
+          console.error("Error updating event card:", e, item);
+          break;
+        }
+      }
+      for (let i = start; i < renderedCards.length; ++i) {
+        unobservePullRequestCard(renderedCards[i]);
+        renderedCards[i].remove();
+      }
+      for (let i = start; i < feedItems.length; ++i) {
+        try {
+          fragment.appendChild(await renderFeedItem(feedItems[i]));
+        } catch (e) {
+          console.error("Error appending event card:", e, feedItems[i]);
+        }
+      }
+      cardsRow.appendChild(fragment);
+    }
+
+    // --- More Button Handling ---
+    // A page the filters left empty can still be followed by matching ones
+    if (!hasMore || (loading && eventsList.length === 0)) {
+      if (moreBtnRef && moreBtnRef.parentElement) {
+        moreBtnRef.parentElement.removeChild(moreBtnRef);
+      }
+      moreBtnRef = null;
+    } else {
+      if (!moreBtnRef) {
+        moreBtnRef = document.createElement("div");
+        moreBtnRef.style.display = "flex";
+        moreBtnRef.style.justifyContent = "center";
+        moreBtnRef.style.margin = "4px 0 0 0";
+        moreBtnRef.style.width = "100%";
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "btn btn-outline btn-block gh-dashboard-feed-more-btn";
+        btn.style.fontWeight = "500";
+        btn.style.marginTop = "0";
+        btn.onclick = () => loadMoreEvents(username, token, parent);
+        moreBtnRef.appendChild(btn);
+        cardsSection.appendChild(moreBtnRef);
+      }
+      updateMoreButtonState();
+      // Ensure button is at the end
+      if (cardsSection.lastChild !== moreBtnRef) {
+        cardsSection.appendChild(moreBtnRef);
+      }
+    }
+    updateRateLimitIndicator();
+    updateCacheMarker();
+    updateUnseenDivider(cardsRow);
+    updateScrollSentinel(cardsSection);
+  }
+
+  /**
+   * Determines whether an event is newer than the newest one of the previous visit.
+   * @param {object} event - GitHub event object
+   * @returns {boolean}
+   */
+  function isUnseenEvent(event) {
+    return (
+      !!lastSeen &&
+      !!event?.created_at &&
+      event.created_at > lastSeen.created_at
+    );
+  }
+
+  /**
+   * Places the "New since your last visit" divider between the last unseen
+   * card and the first card that was already seen.
+   * @param {Element} cardsRow
+   */
+  function updateUnseenDivider(cardsRow) {
+    cardsRow.querySelector(".gh-dashboard-feed-divider")?.remove();
+    const cards = Array.from(
+      cardsRow.querySelectorAll(":scope > [data-event-id]")
+    );
+    const firstSeenIndex = cards.findIndex(
+      (card) => !card.classList.contains("gh-dashboard-feed-unseen")
+    );
+    if (firstSeenIndex <= 0) return;
+
+    const divider = document.createElement("div");
+    divider.className = "gh-dashboard-feed-divider color-fg-accent";
+    divider.setAttribute("role", "separator");
+    divider.style.display = "flex";
+    divider.style.alignItems = "center";
+    divider.style.gap = "8px";
+    divider.style.width = "100%";
+    divider.style.margin = "4px 8px 12px 0";
+    divider.style.fontSize = "12px";
+    divider.style.fontWeight = "600";
+    divider.innerHTML = `<span style="flex:1;border-top:1px solid currentColor"></span>New since your last visit<span style="flex:1;border-top:1px solid currentColor"></span>`;
+    cardsRow.insertBefore(divider, cards[firstSeenIndex]);
+  }
+
+  /**
+   * Reads the newest event the user has seen on a previous visit.
+   * @param {string} username
+   * @returns {Promise<{id: string, created_at: string}|null>}
+   */
+  async function readLastSeen(username) {
+    try {
+      const value = await GM.getValue(
+        LAST_SEEN_KEY_PREFIX + getFeedKey(username),
+        null
+      );
+      if (value && typeof value.created_at === "string") return value;
+    } catch (e) {
+      console.error("Failed to read last seen event:", e);
+    }
+    return null;
+  }
+
+  /**
+   * Remembers the newest of the given events as seen, unless an even newer one already is.
+   * @param {string} username
+   * @param {Array} events - Raw GitHub event objects
+   */
+  async function markEventsSeen(username, events) {
+    let newest = null;
+    for (const event of events) {
+      if (
+        event?.created_at &&
+        (!newest || event.created_at > newest.created_at)
+      ) {
+        newest = event;
+      }
+    }
+    if (!newest) return;
+    try {
+      const stored = await readLastSeen(username);
+      if (stored && stored.created_at >= newest.created_at) return;
+      await GM.setValue(LAST_SEEN_KEY_PREFIX + getFeedKey(username), {
+        id: String(newest.id),
+        created_at: newest.created_at,
+      });
+    } catch (e) {
+      console.error("Failed to persist last seen event:", e);
+    }
+  }
 
-        case "PublicEvent":
-          content = `${actorAvatar}${actorLink} open sourced ${repoLink}`;
-          break;
+  /**
+   * Remembers the loaded events as seen, when the user leaves the feed.
+   */
+  function markFeedSeen() {
+    if (feedContext) markEventsSeen(feedContext.username, eventsList);
+  }
 
-        case "IssueCommentEvent":
-          content = `${actorAvatar}${actorLink} commented on 
-                      <a href="${
-                        payload?.comment?.html_url || "#"
-                      }" target="_blank" rel="noopener noreferrer">issue #${
-            payload?.issue?.number || "?"
-          }</a> in ${repoLink}`;
-          content += renderBodyOrShortHtml(payload?.comment?.body, null);
-          if (payload?.comment?.reactions) {
-            const bar = renderReactionsBar(payload.comment.reactions);
-            if (bar) content += bar.outerHTML;
-          }
-          break;
+  /**
+   * Loads further pages until the newest event of the previous visit is
+   * reached, so nothing between two visits is missed.
+   * @param {string} username
+   * @param {string} token
+   * @param {Element} parent
+   */
+  async function loadUntilLastSeen(username, token, parent) {
+    while (
+      lastSeen &&
+      hasMore &&
+      archiveBefore === null &&
+      !isRateLimited() &&
+      oldestApiEventAt &&
+      oldestApiEventAt > lastSeen.created_at
+    ) {
+      const previousPage = currentPage;
+      await loadMoreEvents(username, token, parent);
+      if (currentPage === previousPage) break; // Loading failed
+    }
+  }
 
-        case "IssuesEvent":
-          content = `${actorAvatar}${actorLink} ${payload?.action || "did"}
-                    <a href="${
-                      payload?.issue?.html_url || "#"
-                    }" target="_blank" rel="noopener noreferrer">issue #${
-            payload?.issue?.number || "?"
-          }</a> in ${repoLink}`;
-          content += renderBodyOrShortHtml(
-            `##### ${payload?.issue?.title || ""}`,
-            null
-          );
-          if (payload?.issue?.reactions) {
-            const bar = renderReactionsBar(payload.issue.reactions);
-            if (bar) content += bar.outerHTML;
-          }
-          break;
+  /**
+   * Shows when the displayed events were cached, while they are being
+   * refreshed or after refreshing them failed (with a Retry link).
+   */
+  function updateCacheMarker() {
+    const marker = containerRef?.querySelector(
+      ".gh-dashboard-feed-cache-marker"
+    );
+    if (!marker) return;
+    marker.hidden = cacheSavedAt === null;
+    marker.innerHTML = "";
+    if (cacheSavedAt === null) return;
 
-        case "PullRequestEvent":
-          content = `${actorAvatar}${actorLink} ${payload?.action || "did"}
-                    <a href="${
-                      payload?.pull_request?.html_url ||
-                      `https://github.com/${repo?.name || ""}/pull/${
-                        payload?.pull_request?.number || ""
-                      }`
-                    }" target="_blank" rel="noopener noreferrer">pull request #${
-            payload?.pull_request?.number || "?"
-          }</a> in ${repoLink}`;
-          content += renderBodyOrShortHtml(
-            `##### ${payload?.pull_request?.title || ""}\n${
-              payload?.pull_request?.body || ""
-            }`,
-            null
-          );
-          if (payload?.pull_request?.reactions) {
-            const bar = renderReactionsBar(payload.pull_request.reactions);
-            if (bar) content += bar.outerHTML;
-          }
-          break;
+    const ago = timeAgo(new Date(cacheSavedAt).toISOString());
+    marker.textContent = `Cached ${ago === "now" ? "just now" : ago}`;
+    if (loading) {
+      marker.textContent += ", refreshing...";
+    } else if (loadError) {
+      marker.textContent += ", refresh failed ";
+      marker.title = loadError.message || "";
+      const retryBtn = document.createElement("button");
+      retryBtn.type = "button";
+      retryBtn.className = "btn-link";
+      retryBtn.textContent = "Retry";
+      retryBtn.onclick = reloadFeed;
+      marker.appendChild(retryBtn);
+    }
+  }
 
-        case "PullRequestReviewEvent":
-          content = `${actorAvatar}${actorLink} reviewed 
-                    <a href="${
-                      payload?.review?.html_url || "#"
-                    }" target="_blank" rel="noopener noreferrer">pull request #${
-            payload?.pull_request?.number || "?"
-          }</a> in ${repoLink}`;
-          content += renderBodyOrShortHtml(
-            `##### ${payload?.pull_request?.title || ""}\n${
-              payload?.review?.body || ""
-            }`,
-            null
-          );
-          if (payload?.review?.reactions) {
-            const bar = renderReactionsBar(payload.review.reactions);
-            if (bar) content += bar.outerHTML;
-          }
-          break;
+  /**
+   * Replaces the cards with those of the feed items, reusing already
+   * rendered cards by event id so unchanged cards are not rebuilt.
+   * @param {Element} cardsRow
+   */
+  async function reconcileCards(cardsRow) {
+    const existing = new Map();
+    for (const card of cardsRow.querySelectorAll(":scope > [data-event-id]")) {
+      existing.set(card.dataset.eventId, card);
+    }
+    const fragment = document.createDocumentFragment();
+    for (const item of getFeedItems()) {
+      try {
+        const card = existing.get(String(item.events[0].id));
+        fragment.appendChild(
+          cardMatchesFeedItem(card, item) ? card : await renderFeedItem(item)
+        );
+      } catch (e) {
+        console.error("Error reconciling event card:", e, item);
+      }
+    }
+    // Only the cards that were not reused are left
+    clearCardsRow(cardsRow);
+    cardsRow.appendChild(fragment);
+  }
 
-        case "PullRequestReviewCommentEvent":
-          content = `${actorAvatar}${actorLink} commented on 
-                    <a href="${
-                      payload?.comment?.html_url || "#"
-                    }" target="_blank" rel="noopener noreferrer">pull request #${
-            payload?.pull_request?.number || "?"
-          }</a> in ${repoLink}`;
-          content += renderBodyOrShortHtml(
-            `##### ${payload?.pull_request?.title || ""}\n${
-              payload?.comment?.body || ""
-            }`,
-            null
-          );
-          if (payload?.comment?.reactions) {
-            const bar = renderReactionsBar(payload.comment.reactions);
-            if (bar) content += bar.outerHTML;
-          }
-          break;
+  /**
+   * Queues loading the next page; queued requests run one after another and
+   * are dropped when a new load generation starts before their turn.
+   * @param {string} username
+   * @param {string} token
+   * @param {Element} parent
+   * @returns {Promise<void>} Resolves once this request has run
+   */
+  function loadMoreEvents(username, token, parent) {
+    const generation = loadGeneration;
+    loadMoreQueue = loadMoreQueue
+      .then(() => {
+        if (generation !== loadGeneration) return;
+        return loadNextPage(username, token, parent, generation);
+      })
+      .catch((e) => console.error("Load more error:", e));
+    return loadMoreQueue;
+  }
 
-        case "CommitCommentEvent":
-          content = `${actorAvatar}${actorLink} commented on 
-                    <a href="${
-                      payload?.comment?.html_url || "#"
-                    }" target="_blank" rel="noopener noreferrer">commit ${
-            payload?.comment?.commit_id?.substring(0, 7) || "???"
-          }</a> in ${repoLink}`;
-          content += renderBodyOrShortHtml(payload?.comment?.body, null);
-          if (payload?.comment?.reactions) {
-            const bar = renderReactionsBar(payload.comment.reactions);
-            if (bar) content += bar.outerHTML;
-          }
-          break;
+  /**
+   * Loads the next page, from the API or, once it is exhausted, from the
+   * archive, and appends it to the feed.
+   * @param {string} username
+   * @param {string} token
+   * @param {Element} parent
+   * @param {number} generation - Load generation the request belongs to
+   */
+  async function loadNextPage(username, token, parent, generation) {
+    if (loading || (isRateLimited() && archiveBefore === null)) return;
+    loading = true;
+    renderFeed(true, username, token, parent);
+    let prevHeight = containerRef ? containerRef.scrollHeight : 0;
+    let prevScroll = window.scrollY;
+    try {
+      if (archiveBefore !== null) {
+        const archived = await readArchivedEvents(
+          getFeedKey(username),
+          archiveBefore,
+          archiveOffset,
+          PER_PAGE
+        );
+        if (generation !== loadGeneration) return;
+        archiveOffset += archived.length;
+        eventsList = mergeEvents(eventsList, applyEventFilters(archived));
+        hasMore = archived.length === PER_PAGE;
+        return;
+      }
+      const nextPage = currentPage + 1;
+      const data =
+        prefetchedPage?.page === nextPage
+          ? await prefetchedPage.promise
+          : await requestEvents(username, token, nextPage, pagedSources);
+      prefetchedPage = null;
+      const pageEvents = Array.isArray(data.events) ? data.events : [];
+      pagedSources = data.nextSources;
+      // Pages shift as new events arrive, so they may repeat loaded events
+      eventsList = mergeEvents(eventsList, applyEventFilters(pageEvents));
+      currentPage = nextPage;
+      oldestApiEventAt = oldestCreatedAt(data.events) || oldestApiEventAt;
+      updatePagingAfterApiPage(!!data.hasNext && pageEvents.length > 0);
+    } catch (e) {
+      if (e.kind === "aborted") return;
+      prefetchedPage = null;
+      if (e.kind === "rate_limited") {
+        // A rate limit only pauses loading, see updateMoreButtonState
+        console.debug("Load more paused by rate limit:", e.message);
+        scheduleScrollResume(e.resetAt);
+        return;
+      }
+      hasMore = false;
+      console.error("Load more error:", e);
+    } finally {
+      // A newer load owns the feed state now
+      if (generation === loadGeneration) {
+        loading = false;
+        await renderFeed(true, username, token, parent);
+        prefetchNextPage(username, token);
 
-        case "MemberEvent":
-          content = `${actorAvatar}${actorLink} added <a href="https://github.com/${encodeURIComponent(
-            payload?.member?.login || ""
-          )}" target="_blank" rel="noopener noreferrer">${DOMPurify.sanitize(
-            payload?.member?.login || ""
-          )}</a> to ${repoLink}`;
-          break;
+        // Maintain scroll position if user is not at the bottom
+        if (window.scrollY < prevHeight - 200) {
+          window.scrollTo({ top: prevScroll, behavior: "auto" });
+        }
+      }
+    }
+  }
 
-        case "GollumEvent":
-          content = `${actorAvatar}${actorLink} edited wiki in ${repoLink}`;
-          {
-            const pages = payload?.pages || [];
-            if (pages.length > 0) {
-              let list = [];
-              for (const page of pages.slice(0, 9)) {
-                list.push(
-                  `- ${page.action} [${page.page_name}](${page.html_url})`
-                );
-              }
-              content += renderBodyOrShortHtml(list.join("\n"), null);
-            }
-          }
-          break;
+  /**
+   * In infinite scroll mode, requests the next API page in the background so
+   * it is ready by the time the sentinel comes into view.
+   * @param {string} username
+   * @param {string} token
+   */
+  function prefetchNextPage(username, token) {
+    const nextPage = currentPage + 1;
+    if (
+      !infiniteScrollEnabled ||
+      !hasMore ||
+      archiveBefore !== null ||
+      isRateLimited() ||
+      prefetchedPage?.page === nextPage
+    ) {
+      return;
+    }
+    const promise = requestEvents(username, token, nextPage, pagedSources);
+    // Failures surface once loadMoreEvents awaits the page
+    promise.catch(() => {});
+    prefetchedPage = { page: nextPage, promise };
+  }
 
-        case "ReleaseEvent":
-          content = `${actorAvatar}${actorLink} ${payload?.action || "did"} 
-                  <a href="${
-                    payload?.release?.html_url || "#"
-                  }" target="_blank" rel="noopener noreferrer">release ${DOMPurify.sanitize(
-            payload?.release?.name || payload?.release?.tag_name || ""
-          )}</a> in ${repoLink}`;
-          content += renderBodyOrShortHtml(payload?.release?.body, null);
-          if (payload?.release?.reactions) {
-            const bar = renderReactionsBar(payload.release.reactions);
-            if (bar) content += bar.outerHTML;
+  /**
+   * Adds or removes the infinite scroll sentinel at the bottom of the feed,
+   * which loads the next page whenever it comes near the viewport.
+   * @param {Element} cardsSection
+   */
+  function updateScrollSentinel(cardsSection) {
+    if (!infiniteScrollEnabled || !hasMore || eventsList.length === 0) {
+      scrollObserver?.disconnect();
+      scrollSentinel?.remove();
+      scrollSentinel = null;
+      return;
+    }
+    if (!scrollSentinel) {
+      scrollSentinel = document.createElement("div");
+      scrollSentinel.className = "gh-dashboard-feed-sentinel";
+      scrollSentinel.setAttribute("aria-hidden", "true");
+      scrollSentinel.style.height = "1px";
+      scrollSentinel.style.width = "100%";
+    }
+    if (cardsSection.lastChild !== scrollSentinel) {
+      cardsSection.appendChild(scrollSentinel);
+    }
+    if (!scrollObserver) {
+      scrollObserver = new IntersectionObserver(
+        async (entries) => {
+          if (!entries.some((entry) => entry.isIntersecting)) return;
+          if (loading || !hasMore || !feedContext || isRateLimited()) return;
+          const { username, token, parent } = feedContext;
+          const page = currentPage;
+          const offset = archiveOffset;
+          await loadMoreEvents(username, token, parent);
+          // Only a loaded page re-checks a sentinel that is still in view;
+          // after a rate limit, loading resumes when its countdown ends
+          if (currentPage !== page || archiveOffset !== offset) {
+            rearmScrollSentinel();
           }
-          break;
+        },
+        { rootMargin: "0px 0px 800px 0px" }
+      );
+    }
+    scrollObserver.observe(scrollSentinel);
+  }
 
-        case "SponsorshipEvent":
-          content = `${actorAvatar}${actorLink} sponsored or received a sponsorship.`;
-          break;
+  /**
+   * Observes the scroll sentinel again, so that one still in view loads the
+   * next page.
+   */
+  function rearmScrollSentinel() {
+    if (!scrollObserver || !scrollSentinel) return;
+    scrollObserver.unobserve(scrollSentinel);
+    scrollObserver.observe(scrollSentinel);
+  }
 
-        default:
-          content = `${actorAvatar}${actorLink} did <code>${DOMPurify.sanitize(
-            type || ""
-          )}</code> in ${repoLink}`;
-      }
-    } catch (e) {
-      content =
-        actorAvatar +
-        actorLink +
-        " [Render error] " +
-        (repoLink || "") +
-        " " +
-        DOMPurify.sanitize(type || "");
-      console.error("Error rendering card for event:", e, event);
+  /**
+   * Re-arms the scroll sentinel once a rate limit without a primary
+   * countdown (a secondary limit) has passed.
+   * @param {number|undefined} resetAt - Timestamp in ms
+   */
+  function scheduleScrollResume(resetAt) {
+    clearTimeout(scrollResumeTimer);
+    // A primary limit resumes from updateRateLimitIndicator
+    if (isRateLimited()) return;
+    const delay = Math.max(0, (resetAt || 0) - Date.now());
+    scrollResumeTimer = setTimeout(() => {
+      scrollResumeTimer = null;
+      rearmScrollSentinel();
+    }, delay);
+  }
+
+  /**
+   * Updates the More button label and disabled state for loading and rate limits.
+   */
+  function updateMoreButtonState() {
+    const btn = moreBtnRef?.querySelector("button");
+    if (!btn) return;
+    if (loading) {
+      btn.disabled = true;
+      btn.textContent = "Loading More...";
+    } else if (archiveBefore !== null) {
+      btn.disabled = false;
+      btn.textContent = "More from archive";
+    } else if (isRateLimited()) {
+      btn.disabled = true;
+      btn.textContent = `Rate limited, more in ${formatCountdown(
+        rateLimit.resetAt - Date.now()
+      )}`;
+    } else {
+      btn.disabled = false;
+      btn.textContent = "More";
+    }
+  }
+
+  /**
+   * Orders events newest first by created_at, then by id, so merged lists
+   * keep a stable order no matter which page or source an event came from.
+   * @param {object} a - GitHub event object
+   * @param {object} b - GitHub event object
+   * @returns {number}
+   */
+  function compareEventsNewestFirst(a, b) {
+    const aTime = a?.created_at || "";
+    const bTime = b?.created_at || "";
+    if (aTime !== bTime) return aTime < bTime ? 1 : -1;
+    const aId = String(a?.id ?? "");
+    const bId = String(b?.id ?? "");
+    // Event ids are numeric strings, compare them numerically
+    if (aId.length !== bId.length) return bId.length - aId.length;
+    return aId < bId ? 1 : aId > bId ? -1 : 0;
+  }
+
+  /**
+   * Merges events into a list without duplicates, ordered newest first.
+   * For events with the same id, the copy already in the list is kept; a
+   * notification thread keeps only its latest update.
+   * @param {Array} events - Events already merged
+   * @param {Array} incoming - Events to add
+   * @returns {Array} A new array
+   */
+  function mergeEvents(events, incoming) {
+    const merged = new Map();
+    for (const event of events.concat(incoming)) {
+      const threadId = event?.payload?.notification?.thread_id;
+      const key =
+        event?.type === "NotificationEvent"
+          ? `thread:${threadId}`
+          : String(event?.id);
+      const kept = merged.get(key);
+      if (kept && !(event.created_at > kept.created_at)) continue;
+      merged.set(key, event);
     }
+    return [...merged.values()].sort(compareEventsNewestFirst);
+  }
 
-    // Date formatting
-    const date = timeAgo(created_at);
+  /**
+   * Adds newer events to the top of the feed, keeping the card the user is
+   * looking at in place and leaving the paging state untouched.
+   * @param {Array} newEvents - Filtered events, usually not in eventsList yet
+   */
+  async function prependEvents(newEvents) {
+    eventsList = mergeEvents(eventsList, newEvents);
+    const cardsRow = containerRef?.querySelector(".gh-dashboard-feed-row");
+    if (!cardsRow) return;
+    cardsRow.querySelector(".gh-dashboard-feed-empty")?.remove();
 
-    // Card rendering
-    try {
-      card.innerHTML = DOMPurify.sanitize(
-        `<div>${content}</div>
-        <div style="margin-top:7px;color:gray;font-size:85%">${date}</div>`
-      );
-    } catch (e) {
-      card.innerHTML = "<div style='color:red'>[Error rendering card]</div>";
-      console.error("Card innerHTML error:", e);
+    // The first card still (partly) on screen is the scroll anchor
+    const anchor = Array.from(
+      cardsRow.querySelectorAll(":scope > [data-event-id]")
+    ).find((card) => card.getBoundingClientRect().bottom > 0);
+    const anchorTop = anchor ? anchor.getBoundingClientRect().top : 0;
+    // New events may join the newest groups, so cards are reconciled
+    await reconcileCards(cardsRow);
+    updateUnseenDivider(cardsRow);
+    if (anchor?.isConnected && anchorTop < 0) {
+      // Browsers with scroll anchoring may already have compensated
+      const shift = anchor.getBoundingClientRect().top - anchorTop;
+      if (shift !== 0) window.scrollBy(0, shift);
     }
-    return card;
   }
 
   /**
-   * Renders the events feed section, appending new events.
-   * @param {boolean} append - Whether to append to existing events
+   * Schedules the next poll of the first page, honoring X-Poll-Interval and
+   * backing off after failures.
    * @param {string} username
    * @param {string} token
-   * @param {Element} parent
    */
-  async function renderFeed(append = false, username, token, parent) {
-    let cardsSection;
-    if (containerRef && append) {
-      cardsSection = containerRef;
-    } else {
-      cardsSection = document.createElement("div");
-      cardsSection.style.display = "flex";
-      cardsSection.style.flexDirection = "column";
-      cardsSection.style.margin = "0 0 19px 0";
-      cardsSection.style.gap = "0 2px";
-      cardsSection.style.minHeight = "420px";
-      cardsSection.id = FEED_SECTION_ID;
-      containerRef = cardsSection;
-    }
-
-    // Header
-    let header = cardsSection.querySelector(".gh-dashboard-feed-header");
-    if (!header) {
-      header = document.createElement("div");
-      header.className = "gh-dashboard-feed-header";
-      header.style.display = "flex";
-      header.style.justifyContent = "flex-start";
-      header.style.alignItems = "baseline";
-      header.innerHTML = `<h3 style="font-size:18px;font-weight:600;margin:0 5px 16px 0">Your Received Events</h3>`;
-      cardsSection.append(header);
+  function schedulePoll(username, token) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+    if (!autoRefreshEnabled) return;
+    const backoff = Math.min(2 ** pollFailures, MAX_POLL_BACKOFF_FACTOR);
+    let delayMs = pollIntervalSeconds * backoff * 1000;
+    if (isRateLimited()) {
+      delayMs = Math.max(delayMs, rateLimit.resetAt - Date.now());
     }
+    pollTimer = setTimeout(() => pollForNewEvents(username, token), delayMs);
+  }
 
-    // Cards row
-    let cardsRow = cardsSection.querySelector(".gh-dashboard-feed-row");
-    if (!cardsRow) {
-      cardsRow = document.createElement("div");
-      cardsRow.className = "gh-dashboard-feed-row";
-      cardsRow.style.display = "flex";
-      cardsRow.style.flexWrap = "wrap";
-      cardsRow.style.gap = "0 2px";
-      cardsRow.style.width = "100%";
-      cardsRow.style.boxSizing = "border-box";
-      cardsRow.style.minHeight = "330px";
-      cardsSection.append(cardsRow);
+  /**
+   * Shows, updates or removes the sticky "N new events" pill at the top of the feed.
+   */
+  function updateNewEventsPill() {
+    if (!containerRef) return;
+    let pill = containerRef.querySelector(".gh-dashboard-feed-new-pill");
+    if (pendingEvents.length === 0) {
+      pill?.remove();
+      return;
     }
-
-    // If not appending, clear all event cards
-    if (!append) {
-      cardsRow.innerHTML = "";
+    if (!pill) {
+      pill = document.createElement("div");
+      pill.className = "gh-dashboard-feed-new-pill";
+      pill.style.position = "sticky";
+      pill.style.top = "8px";
+      pill.style.zIndex = "10";
+      pill.style.display = "flex";
+      pill.style.justifyContent = "center";
+      pill.style.height = "0";
+      pill.style.overflow = "visible";
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "btn btn-sm btn-primary";
+      btn.style.borderRadius = "16px";
+      btn.style.boxShadow = "0 1px 3px rgba(0,0,0,.2)";
+      btn.onclick = async () => {
+        const newEvents = pendingEvents;
+        pendingEvents = [];
+        updateNewEventsPill();
+        await prependEvents(newEvents);
+        if (containerRef.getBoundingClientRect().top < 0) {
+          containerRef.scrollIntoView({ behavior: "smooth", block: "start" });
+        }
+      };
+      pill.appendChild(btn);
+      const header = containerRef.querySelector(".gh-dashboard-feed-header");
+      containerRef.insertBefore(pill, header ? header.nextSibling : null);
     }
+    pill.querySelector("button").textContent = `${pendingEvents.length} new ${
+      pendingEvents.length === 1 ? "event" : "events"
+    }`;
+  }
 
-    // Insert section into parent
-    if (!append) {
-      insertEventsSectionSibling(cardsSection, parent, FEED_SECTION_ID);
-    } else if (!parent.contains(cardsSection)) {
+  /**
+   * Re-requests the first pages with their ETags and collects genuinely new
+   * events into pendingEvents, announced by the "N new events" pill.
+   * Skipped while the tab is hidden or a page is loading.
+   * @param {string} username
+   * @param {string} token
+   */
+  async function pollForNewEvents(username, token) {
+    if (!document.hidden && !loading && !polling) {
+      polling = true;
       try {
-        parent.insertBefore(cardsSection, parent.firstChild);
-      } catch (e) {
-        console.error("parent element append error:", e);
-      }
-    }
-
-    // Render event cards
-    if (eventsList.length === 0 && !loading) {
-      cardsRow.innerHTML =
-        '<div style="color:#888;padding:12px">No events</div>';
-    } else {
-      // Only render new cards if appending
-      const fragment = document.createDocumentFragment();
-      for (let i = cardsRow.childNodes.length; i < eventsList.length; ++i) {
-        try {
-          fragment.appendChild(await renderEventCard(eventsList[i]));
-        } catch (e) {
-          console.error("Error appending event card:", e, eventsList[i]);
+        const data = await requestEvents(
+          username,
+          token,
+          1,
+          getEventSources(username),
+          true
+        );
+        pollIntervalSeconds = data.pollInterval || pollIntervalSeconds;
+        pollFailures = 0;
+        if (!data.notModified) {
+          const knownIds = new Set(
+            eventsList.concat(pendingEvents).map((ev) => String(ev.id))
+          );
+          const newEvents = applyEventFilters(
+            data.events.filter((ev) => !knownIds.has(String(ev.id)))
+          );
+          if (newEvents.length > 0) {
+            pendingEvents = mergeEvents(pendingEvents, newEvents);
+            updateNewEventsPill();
+          }
+          writeEventsCache(username, data.events, data.hasNext);
         }
+      } catch (e) {
+        polling = false;
+        // The load that aborted the poll schedules the next one
+        if (e.kind === "aborted") return;
+        pollFailures++;
+        // Background polls don't notify, schedulePoll backs off instead
+        console.debug("Poll error:", e);
       }
-      cardsRow.appendChild(fragment);
+      polling = false;
     }
+    schedulePoll(username, token);
+  }
 
-    // --- More Button Handling ---
-    if (eventsList.length === 0 || !hasMore) {
-      if (moreBtnRef && moreBtnRef.parentElement) {
-        moreBtnRef.parentElement.removeChild(moreBtnRef);
-      }
+  /**
+   * Marks the feed as seen and cancels loading when the page is left, and
+   * loads the feed again when the dashboard comes back: restored from the
+   * back/forward cache, or rendered anew by a Turbo navigation.
+   */
+  function watchNavigation() {
+    const leave = () => {
+      markFeedSeen();
+      cancelLoading();
+    };
+    window.addEventListener("pagehide", leave);
+    document.addEventListener("turbo:visit", leave);
+    window.addEventListener("pageshow", (e) => {
+      if (e.persisted) reloadFeed();
+    });
+    document.addEventListener("turbo:load", () => {
+      const sidebar = document.querySelector(".feed-right-sidebar");
+      const feedContainer = document.querySelector("feed-container");
+      // Not a dashboard, or still the page the feed was placed on
+      if (!feedContext || !sidebar || !feedContainer) return;
+      if (feedContainer === feedPlacement?.feedContainer) return;
+      // A Turbo snapshot may hold a copy of the old feed
+      removeOldSection();
+      feedPlacement = { sidebar, feedContainer, originalNodes: null };
       moreBtnRef = null;
-    } else {
-      if (!moreBtnRef) {
-        moreBtnRef = document.createElement("div");
-        moreBtnRef.style.display = "flex";
-        moreBtnRef.style.justifyContent = "center";
-        moreBtnRef.style.margin = "4px 0 0 0";
-        moreBtnRef.style.width = "100%";
-        const btn = document.createElement("button");
-        btn.type = "button";
-        btn.className = "btn btn-outline btn-block gh-dashboard-feed-more-btn";
-        btn.style.fontWeight = "500";
-        btn.style.marginTop = "0";
-        btn.onclick = async () => {
-          if (loading) return;
-          loading = true;
-          renderFeed(true, username, token, parent);
-          let prevHeight = cardsSection.scrollHeight;
-          let prevScroll = window.scrollY;
-          try {
-            const nextPage = currentPage + 1;
-            const data = await fetchReceivedEvents(
-              username,
-              token,
-              PER_PAGE,
-              nextPage
-            );
-            let newEvents = Array.isArray(data.events) ? data.events : [];
-            if (actorFilterEnabled) {
-              newEvents = newEvents.filter((ev) => !isActorFiltered(ev.actor));
-            }
-            if (hideWatchEventEnabled) {
-              newEvents = newEvents.filter((ev) => ev.type !== "WatchEvent");
-            }
-            eventsList = eventsList.concat(newEvents);
-            currentPage = nextPage;
-            hasMore = !!data.hasNext && newEvents.length > 0;
-          } catch (e) {
-            hasMore = false;
-            console.error("Load more error:", e);
-          }
-          loading = false;
-          renderFeed(true, username, token, parent);
+      const { username, token } = feedContext;
+      initialLoad(username, token, placeFeed());
+    });
+  }
 
-          // Maintain scroll position if user is not at the bottom
-          if (window.scrollY < prevHeight - 200) {
-            window.scrollTo({ top: prevScroll, behavior: "auto" });
-          }
-        };
-        moreBtnRef.appendChild(btn);
-        cardsSection.appendChild(moreBtnRef);
-      }
-      const btn = moreBtnRef.querySelector("button");
-      if (loading) {
-        btn.disabled = true;
-        btn.textContent = "Loading More...";
-      } else {
-        btn.disabled = false;
-        btn.textContent = "More";
+  /**
+   * Marks the feed as seen when the tab is hidden, and checks for new events
+   * as soon as it becomes visible again.
+   */
+  function watchTabVisibility() {
+    document.addEventListener("visibilitychange", () => {
+      if (document.hidden) {
+        markFeedSeen();
+      } else if (autoRefreshEnabled && feedContext && !loadError) {
+        pollForNewEvents(feedContext.username, feedContext.token);
       }
-      // Ensure button is at the end
-      if (cardsSection.lastChild !== moreBtnRef) {
-        cardsSection.appendChild(moreBtnRef);
+    });
+  }
+
+  /**
+   * Reads the cached first page of received events for a user.
+   * @param {string} username
+   * @returns {Promise<{savedAt: number, hasNext: boolean, events: Array}|null>}
+   */
+  async function readEventsCache(username) {
+    try {
+      const cached = await GM.getValue(
+        EVENTS_CACHE_KEY_PREFIX + getFeedKey(username),
+        null
+      );
+      if (
+        cached &&
+        typeof cached.savedAt === "number" &&
+        Array.isArray(cached.events)
+      ) {
+        return cached;
       }
+    } catch (e) {
+      console.error("Failed to read events cache:", e);
     }
+    return null;
+  }
+
+  /**
+   * Caches the unfiltered first page of received events for a user.
+   * @param {string} username
+   * @param {Array} events
+   * @param {boolean} hasNext
+   */
+  async function writeEventsCache(username, events, hasNext) {
+    try {
+      await GM.setValue(EVENTS_CACHE_KEY_PREFIX + getFeedKey(username), {
+        savedAt: Date.now(),
+        hasNext: !!hasNext,
+        events,
+      });
+    } catch (e) {
+      console.error("Failed to write events cache:", e);
+    }
+  }
+
+  /**
+   * Re-runs initialLoad with the arguments of the last load.
+   */
+  async function reloadFeed() {
+    if (!feedContext) return;
+    const { username, token, parent } = feedContext;
+    await initialLoad(username, token, parent);
   }
 
   /**
    * Fetches the first page and renders the feed.
+   * Cached events, if any, are shown right away and reconciled with the
+   * fresh page by event id once it arrives.
    * @param {string} username
    * @param {string} token
    * @param {Element} parent
    */
   async function initialLoad(username, token, parent) {
+    const generation = startLoadGeneration();
+    // Organizations are listed again for a new token
+    if (feedContext && feedContext.token !== token) userOrgsPromise = null;
+    feedContext = { username, token, parent };
     loading = true;
-    await renderFeed(false, username, token, parent); // Show Loading
+    dashboardOrg = await readDashboardOrg(username);
+    releaseRadarEnabled = await readReleaseRadarEnabled(username);
+    // Reloads keep the previous visit, so unseen events stay highlighted
+    const feedKey = getFeedKey(username);
+    if (!lastSeenByFeed.has(feedKey)) {
+      lastSeenByFeed.set(feedKey, await readLastSeen(username));
+    }
+    lastSeen = lastSeenByFeed.get(feedKey);
+    const cached = await readEventsCache(username);
+    if (generation !== loadGeneration) return;
+    archiveBefore = null;
+    const sources = getEventSources(username);
+    firstPages = new Map();
+    pagedSources = sources;
+    if (cached) {
+      eventsList = mergeEvents([], applyEventFilters(cached.events));
+      currentPage = 1;
+      // The raw page size: the filter may leave nothing of a full page
+      hasMore = cached.hasNext && cached.events.length > 0;
+      cacheSavedAt = cached.savedAt;
+    } else {
+      cacheSavedAt = null;
+    }
+    await renderFeed(false, username, token, parent); // Show cache or Loading
     try {
-      const data = await fetchReceivedEvents(username, token, PER_PAGE, 1);
-      let events = Array.isArray(data.events) ? data.events : [];
-      if (actorFilterEnabled) {
-        events = events.filter((ev) => !isActorFiltered(ev.actor));
-      }
-      if (hideWatchEventEnabled) {
-        events = events.filter((ev) => ev.type !== "WatchEvent");
-      }
-      eventsList = events;
+      const data = await requestEvents(username, token, 1, sources);
+      const events = applyEventFilters(
+        Array.isArray(data.events) ? data.events : []
+      );
+      writeEventsCache(username, data.events, data.hasNext);
+      cacheSavedAt = null;
+      eventsList = mergeEvents([], events);
       currentPage = 1;
-      hasMore = !!data.hasNext && events.length > 0;
+      oldestApiEventAt = oldestCreatedAt(data.events);
+      pagedSources = data.nextSources;
+      updatePagingAfterApiPage(!!data.hasNext && data.events.length > 0);
+      pollIntervalSeconds = data.pollInterval || DEFAULT_POLL_INTERVAL_SECONDS;
+      pendingEvents = [];
+      loadError = null;
     } catch (e) {
-      eventsList = [];
-      currentPage = 1;
-      hasMore = false;
+      if (e.kind === "aborted") return;
+      // Keep showing cached events, if any
+      if (!cached) {
+        eventsList = [];
+        currentPage = 1;
+        hasMore = false;
+      }
+      loadError = e;
       console.error("initialLoad error:", e);
     }
     loading = false;
-    await renderFeed(false, username, token, parent);
+    const cardsRow = containerRef?.querySelector(".gh-dashboard-feed-row");
+    if (cached && cardsRow) {
+      await reconcileCards(cardsRow);
+      await renderFeed(true, username, token, parent);
+    } else {
+      await renderFeed(false, username, token, parent);
+    }
+    if (loadError) {
+      // Polling would only repeat the failure; Retry restarts it
+      clearTimeout(pollTimer);
+      pollTimer = null;
+    } else {
+      if (autoLoadUnseenEnabled) {
+        await loadUntilLastSeen(username, token, parent);
+        if (generation !== loadGeneration) return;
+      }
+      prefetchNextPage(username, token);
+      schedulePoll(username, token);
+    }
   }
 
-  // ================== MAIN ENTRYPOINT ==================
-  try {
-    // Step 1: Setup state and menu
-    rewriteConsole();
+  /**
+   * Reads all settings from storage into the state variables, falling back
+   * to the defaults for missing or unreadable values.
+   */
+  async function loadSettings() {
+    try {
+      gistSyncEnabled = await GM.getValue(GIST_SYNC_ENABLED_KEY, false);
+    } catch {
+      gistSyncEnabled = false;
+    }
     try {
       renderBodyEnabled = await GM.getValue(RENDER_BODY_KEY, false);
     } catch {
@@ -1106,32 +5359,134 @@
     } catch {
       actorFilterEnabled = true;
     }
+    try {
+      actorFilterPresetEnabled = await GM.getValue(
+        ACTOR_FILTER_PRESET_KEY,
+        true
+      );
+    } catch {
+      actorFilterPresetEnabled = true;
+    }
+    try {
+      actorFilterRules = normalizeRuleList(
+        await GM.getValue(ACTOR_FILTER_RULES_KEY, [])
+      );
+    } catch {
+      actorFilterRules = [];
+    }
+    try {
+      hidePrereleasesEnabled = await GM.getValue(HIDE_PRERELEASES_KEY, false);
+    } catch {
+      hidePrereleasesEnabled = false;
+    }
+    try {
+      eventSourceSpecs = normalizeRuleList(
+        await GM.getValue(EVENT_SOURCES_KEY, [])
+      ).filter((spec) => parseEventSource(spec, "") !== null);
+    } catch {
+      eventSourceSpecs = [];
+    }
+    try {
+      repoFilterRules = normalizeRuleList(
+        await GM.getValue(REPO_FILTER_RULES_KEY, [])
+      );
+    } catch {
+      repoFilterRules = [];
+    }
     try {
       useSidebarEnabled = await GM.getValue(USE_SIDEBAR_KEY, false);
     } catch {
       useSidebarEnabled = true;
     }
     try {
-      hideWatchEventEnabled = await GM.getValue(HIDE_WATCH_EVENT_KEY, false);
+      const storedTypes = await GM.getValue(HIDDEN_EVENT_TYPES_KEY, null);
+      if (Array.isArray(storedTypes)) {
+        hiddenEventTypes = new Set(storedTypes.map(resolveEventType));
+        hiddenEventTypes.delete(null);
+      } else if (await GM.getValue(HIDE_WATCH_EVENT_KEY, false)) {
+        hiddenEventTypes = new Set(["WatchEvent"]);
+      }
+    } catch {
+      hiddenEventTypes = new Set();
+    }
+    try {
+      autoRefreshEnabled = await GM.getValue(AUTO_REFRESH_KEY, true);
+    } catch {
+      autoRefreshEnabled = true;
+    }
+    try {
+      aggregateEventsEnabled = await GM.getValue(AGGREGATE_EVENTS_KEY, true);
+    } catch {
+      aggregateEventsEnabled = true;
+    }
+    try {
+      threadEventsEnabled = await GM.getValue(THREAD_EVENTS_KEY, true);
+    } catch {
+      threadEventsEnabled = true;
+    }
+    try {
+      infiniteScrollEnabled = await GM.getValue(INFINITE_SCROLL_KEY, false);
+    } catch {
+      infiniteScrollEnabled = false;
+    }
+    try {
+      autoLoadUnseenEnabled = await GM.getValue(AUTO_LOAD_UNSEEN_KEY, false);
+    } catch {
+      autoLoadUnseenEnabled = false;
+    }
+    try {
+      archiveMaxEvents = await GM.getValue(ARCHIVE_MAX_EVENTS_KEY, 5000);
+      archiveMaxAgeDays = await GM.getValue(ARCHIVE_MAX_AGE_DAYS_KEY, 365);
+    } catch {
+      archiveMaxEvents = 5000;
+      archiveMaxAgeDays = 365;
+    }
+    try {
+      savedViews = normalizeSavedViews(await GM.getValue(SAVED_VIEWS_KEY, []));
+      const storedActiveView = await GM.getValue(
+        ACTIVE_VIEW_KEY,
+        DEFAULT_VIEW.name
+      );
+      const activeView =
+        savedViews.find((view) => view.name === storedActiveView) ||
+        DEFAULT_VIEW;
+      activeViewName = activeView.name;
+      feedQuery = activeView.query;
+      feedQueryFilters = compileFeedQuery(feedQuery);
     } catch {
-      hideWatchEventEnabled = false;
+      savedViews = [DEFAULT_VIEW];
+      activeViewName = DEFAULT_VIEW.name;
     }
     initMarkdown();
+  }
 
-    GM.registerMenuCommand("Configure GitHub Token", configureToken);
-    await updateRenderBodyMenuCommand();
-    await updateActorFilterMenuCommand();
-    await updateUseSidebarMenuCommand();
-    await updateHideWatchEventMenuCommand();
-
-    // Step 2: Get token
-    const token = await getToken();
-    if (!token) {
-      console.warn("No token configured, skipping.");
-      return;
+  /**
+   * Returns the element the feed goes into for the current useSidebarEnabled.
+   * The middle column's own content is set aside while the feed replaces it,
+   * and put back when the feed moves to the sidebar.
+   * @returns {Element}
+   */
+  function placeFeed() {
+    const { sidebar, feedContainer } = feedPlacement;
+    if (useSidebarEnabled) {
+      if (feedPlacement.originalNodes) {
+        feedContainer.replaceChildren(...feedPlacement.originalNodes);
+        feedPlacement.originalNodes = null;
+      }
+      return sidebar;
+    }
+    if (!feedPlacement.originalNodes) {
+      feedPlacement.originalNodes = Array.from(feedContainer.childNodes);
+      feedContainer.replaceChildren();
     }
+    return feedContainer;
+  }
 
-    // Step 3: Wait for username and sidebar
+  /**
+   * Waits for the dashboard components and loads the feed into them.
+   * @param {string} token
+   */
+  async function startFeed(token) {
     let username, sidebar, feedContainer;
     try {
       [username, sidebar, feedContainer] = await Promise.all([
@@ -1156,15 +5511,31 @@
       return;
     }
 
-    let parent;
-    if (useSidebarEnabled) {
-      parent = sidebar;
-    } else {
-      feedContainer.innerHTML = "";
-      parent = feedContainer;
+    feedPlacement = { sidebar, feedContainer, originalNodes: null };
+    await initialLoad(username, token, placeFeed());
+    watchTabVisibility();
+    watchNavigation();
+    // Reloads the feed only if newer settings were pulled
+    if (gistSyncEnabled) await syncSettingsWithGist(token);
+  }
+
+  // ================== MAIN ENTRYPOINT ==================
+  try {
+    // Step 1: Setup state and menu
+    rewriteConsole();
+    await loadSettings();
+
+    GM.registerMenuCommand("Settings", () => openSettingsDialog(), "s");
+
+    // Step 2: Get token
+    const token = await getToken();
+    if (!token) {
+      console.warn("No token configured, skipping.");
+      return;
     }
 
-    await initialLoad(username, token, parent);
+    // Step 3: Wait for username and sidebar, then load
+    await startFeed(token);
   } catch (e) {
     console.error("Unexpected failure:", e);
   }